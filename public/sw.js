@@ -0,0 +1,125 @@
+// Service worker: keeps the app shell, hashed build assets (including the
+// DuckDB bundles) and a low-zoom basemap available offline. API calls
+// (Nominatim, Open-Meteo, NASA) are left to the network; the app handles
+// those failing when offline.
+
+const VERSION = 'v2'
+const SHELL_CACHE = `moonsighting-shell-${VERSION}`
+const ASSET_CACHE = `moonsighting-assets-${VERSION}`
+const BASEMAP_CACHE = `moonsighting-basemap-${VERSION}`
+const CACHES = [SHELL_CACHE, ASSET_CACHE, BASEMAP_CACHE]
+
+const BASE = new URL('./', self.location).pathname
+const SHELL_FILES = [BASE, `${BASE}manifest.webmanifest`, `${BASE}icons/icon.svg`]
+// The bundled "Offline" basemap style (src/utils/offlineBasemap.js).
+const OFFLINE_BASEMAP_FILES = [
+  'land.geojson', 'boundaries.geojson', 'cities.geojson',
+  'fonts/Lato%20Regular/0-255.pbf', 'fonts/Lato%20Regular/256-511.pbf',
+].map((file) => `${BASE}basemap/${file}`)
+
+// Default dark style; tiles up to this zoom are fetched at install time.
+const BASEMAP_STYLE = 'https://basemaps.cartocdn.com/gl/dark-matter-nolabels-gl-style/style.json'
+const MAX_OFFLINE_ZOOM = 3
+const BASEMAP_HOSTS = /(^|\.)basemaps\.cartocdn\.com$/
+const CDN_HOSTS = ['unpkg.com']
+const TILE_PATH = /\/(\d+)\/\d+\/\d+(@2x)?\.(mvt|pbf|png|jpg)$/
+
+async function cacheShell() {
+  const cache = await caches.open(SHELL_CACHE)
+  await cache.addAll([...SHELL_FILES, ...OFFLINE_BASEMAP_FILES])
+  // index.html names the hashed entry chunks; cache those with the shell.
+  const html = await (await cache.match(BASE)).text()
+  const assets = [...html.matchAll(/(?:src|href)="([^"]+\/assets\/[^"]+)"/g)].map((match) => match[1])
+  const assetCache = await caches.open(ASSET_CACHE)
+  await assetCache.addAll(assets)
+}
+
+async function fetchAndCache(cache, url) {
+  const response = await fetch(url)
+  if (response.ok) await cache.put(url, response.clone())
+  return response
+}
+
+async function cacheBasemap() {
+  const cache = await caches.open(BASEMAP_CACHE)
+  const style = await (await fetchAndCache(cache, BASEMAP_STYLE)).json()
+  for (const source of Object.values(style.sources || {})) {
+    if (source.type !== 'vector' && source.type !== 'raster') continue
+    const tiles = source.tiles || (source.url ? (await (await fetchAndCache(cache, source.url)).json()).tiles : [])
+    if (!tiles?.length) continue
+    const template = tiles[0]
+    for (let z = 0; z <= Math.min(MAX_OFFLINE_ZOOM, source.maxzoom ?? MAX_OFFLINE_ZOOM); z++) {
+      const urls = []
+      for (let x = 0; x < 2 ** z; x++) {
+        for (let y = 0; y < 2 ** z; y++) {
+          urls.push(template.replace('{z}', z).replace('{x}', x).replace('{y}', y))
+        }
+      }
+      await Promise.all(urls.map((url) => fetchAndCache(cache, url).catch(() => null)))
+    }
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(Promise.all([
+    cacheShell(),
+    // A missing basemap should not block installing the app itself.
+    cacheBasemap().catch((error) => console.warn('Basemap precache failed', error)),
+  ]).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then((keys) => Promise.all(keys.filter((key) => key.startsWith('moonsighting-') && !CACHES.includes(key)).map((key) => caches.delete(key))))
+    .then(() => self.clients.claim()))
+})
+
+// `key` is what the response is stored and looked up under; it defaults to
+// the request itself.
+async function networkFirst(request, cacheName, shouldCache = () => true, key = request) {
+  const cache = await caches.open(cacheName)
+  try {
+    const response = await fetch(request)
+    if (response.ok && shouldCache(request)) await cache.put(key, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(key)
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok) await cache.put(request, response.clone())
+  return response
+}
+
+function isLowZoomTile(request) {
+  const match = new URL(request.url).pathname.match(TILE_PATH)
+  return !match || Number(match[1]) <= MAX_OFFLINE_ZOOM
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    // Every link carries its view in the query string (urlState.js); they all
+    // load the same page, so keep one copy of it under BASE.
+    event.respondWith(networkFirst(request, SHELL_CACHE, () => true, BASE).catch(() => caches.match(BASE)))
+  } else if (url.origin === self.location.origin && url.pathname.startsWith(`${BASE}assets/`)) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE))
+  } else if (url.origin === self.location.origin && [...SHELL_FILES, ...OFFLINE_BASEMAP_FILES].includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE))
+  } else if (BASEMAP_HOSTS.test(url.hostname)) {
+    // Style, sprites and glyphs are always kept; tiles only at low zoom.
+    event.respondWith(networkFirst(request, BASEMAP_CACHE, isLowZoomTile))
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE))
+  }
+})
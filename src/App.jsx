@@ -2,27 +2,43 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import maplibregl from 'maplibre-gl'
 import * as h3 from 'h3-js'
 import * as Astronomy from 'astronomy-engine'
-import { calculate, getMoonImageURLs, getHemisphere, geocode } from './utils'
-import { initDB, getCachedResults, cacheResults } from './utils/db'
-
-const YALLOP_CRITERIA = {
-  A: "Hilal easily visible",
-  B: "Hilal visible under perfect conditions",
-  C: "May need optical aid to find crescent",
-  D: "Will need optical aid to find crescent",
-  E: "Crescent not visible with telescope",
-  F: "Hilal not visible - below the Danjon limit (7°)",
-  G: "Hilal not visible - Sunset is before new moon",
-  H: "Hilal not visible - No Moonset on location",
-  I: "Hilal not visible - Moonset before sunset",
-}
+import { calculate, CRITERIA_LIST, getCriterion, getCodeInfo, getLegend, getValueRamp, isStatusCode, getMoonImageURLs, getMoonRendering, crescentPath, findNextCrescent, getHemisphere, geocode } from './utils'
+import { initDB, getCachedResults, cacheResults, getCacheStats, clearCache, getSightings, addSighting, deleteSighting } from './utils/db'
+import { computeContours } from './utils/contours'
+import { getWorkerPool } from './utils/workerPool'
+import { precomputeUpcomingGrids } from './utils/precompute'
+import { getOfflineBasemapStyle, OFFLINE_LABEL_FONT } from './utils/offlineBasemap'
+import { getAntimeridianSafeFeature, gridToGeoJSON, gridToCSV, gridToRaster, rasterToGeoTIFF } from './utils/gridData'
+import { downloadBlob } from './utils/download'
+import { loadBulletinCities, buildBulletin, bulletinToSVG, bulletinToPDF } from './utils/bulletin'
+import { readUrlState, writeUrlState } from './utils/urlState'
+import { getPlaybackFrames, findFrameIndex, getAltitudeTrack } from './utils/timeline'
+import { recordAnimation, getWebMType } from './utils/animation'
+import { CALENDAR_POLICIES, getCalendarPolicy, compareCalendarPolicies } from './utils/hijriCalendar'
+import { getCrescentForecast, forecastToICS } from './utils/forecast'
+import { getSkyTrack, compassPoint } from './utils/skyChart'
+import { WEATHER_PROVIDERS, getWeatherProvider, getSightingWeather, getSightingChance } from './utils/weather'
+import { OBSERVATIONS_SOURCE_ID, OBSERVATIONS_LAYER_ID, parseObservations, predictObservations, scoreObservations, observationsToGeoJSON } from './utils/observations'
+import { SIGHTING_RESULTS, SKY_CONDITIONS, SIGHTINGS_SOURCE_ID, SIGHTINGS_LAYER_ID, getSightingResult, createSighting, predictSighting, resolveObservedAt, sightingsToGeoJSON } from './utils/sightings'
 
 const MAP_STYLES = [
-  { id: 'dark', label: 'Dark', url: 'https://basemaps.cartocdn.com/gl/dark-matter-nolabels-gl-style/style.json' },
-  { id: 'light', label: 'Light', url: 'https://basemaps.cartocdn.com/gl/positron-gl-style/style.json' },
-  { id: 'voyager', label: 'Voyager', url: 'https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json' },
+  { id: 'dark', label: 'Dark', style: 'https://basemaps.cartocdn.com/gl/dark-matter-nolabels-gl-style/style.json' },
+  { id: 'light', label: 'Light', style: 'https://basemaps.cartocdn.com/gl/positron-gl-style/style.json' },
+  { id: 'voyager', label: 'Voyager', style: 'https://basemaps.cartocdn.com/gl/voyager-gl-style/style.json' },
+  { id: 'offline', label: 'Offline', style: getOfflineBasemapStyle(), labelFont: OFFLINE_LABEL_FONT },
 ]
 
+const GRID_RESOLUTIONS = [1, 2, 3, 4]
+
+// Settings from a shared link (see src/utils/urlState.js), read once on load.
+const URL_STATE = readUrlState(window.location.search, {
+  criteria: CRITERIA_LIST.map((item) => item.id),
+  styles: MAP_STYLES.map((style) => style.id),
+  resolutions: GRID_RESOLUTIONS,
+  calendars: CALENDAR_POLICIES.map((policy) => policy.id),
+  weatherProviders: WEATHER_PROVIDERS.map((provider) => provider.id),
+})
+
 const CLOUD_LAYER_SOURCE_ID = 'cloud-satellite-source'
 const CLOUD_LAYER_ID = 'cloud-satellite-layer'
 const CLOUD_LAYER_TILES = [
@@ -31,69 +47,69 @@ const CLOUD_LAYER_TILES = [
   'https://gibs-c.earthdata.nasa.gov/wmts/epsg3857/best/MODIS_Terra_CorrectedReflectance_TrueColor/default/default/GoogleMapsCompatible_Level9/{z}/{y}/{x}.jpg',
 ]
 
-const VISIBILITY_COLORS = [
-  { code: 'A', color: '#22c55e', label: 'Hilal easily visible' },
-  { code: 'B', color: '#84cc16', label: 'Hilal visible under perfect conditions' },
-  { code: 'C', color: '#2dd4bf', label: 'May need optical aid' },
-  { code: 'D', color: '#facc15', label: 'Will need optical aid' },
-  { code: 'E', color: '#fb923c', label: 'Not visible with telescope' },
-  { code: 'F', color: 'rgba(0,0,0,0)', label: 'Below Danjon limit (7°)' },
-  { code: 'G', color: '#a855f7', label: 'Sunset before new moon' },
-  { code: 'H', color: '#3b82f6', label: 'No moonset' },
-  { code: 'I', color: '#ef4444', label: 'Moonset before sunset' },
-]
-
 function formatDate(date) {
   const options = { weekday: "short", year: "numeric", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" }
   return date.toLocaleString("en-US", options)
 }
 
+const CONTOUR_SOURCE_ID = 'moonsighting-contours'
+const CONTOUR_LAYER_ID = 'moonsighting-contours'
+const CONTOUR_LABEL_LAYER_ID = 'moonsighting-contour-labels'
+
+// Cloud imagery sits above the visibility grid; contour lines stay readable on
+// top of both, and observer reports go above everything.
+function keepOverlaysOnTop(map) {
+  [CLOUD_LAYER_ID, CONTOUR_LAYER_ID, CONTOUR_LABEL_LAYER_ID, OBSERVATIONS_LAYER_ID, SIGHTINGS_LAYER_ID].forEach((id) => {
+    if (map.getLayer(id)) map.moveLayer(id)
+  })
+}
+
+// Cells with a status code keep their code colour even on the continuous ramp.
+function getGridFillColor(criterion, colorMode) {
+  if (colorMode !== 'ramp') return ['get', 'color']
+  return ['case', ['get', 'ramp'], ['interpolate', ['linear'], ['get', 'value'], ...getValueRamp(criterion).flat()], ['get', 'color']]
+}
+
+const CACHE_STORAGE_LABELS = {
+  opfs: 'Saved in browser storage (OPFS)',
+  indexeddb: 'Saved in IndexedDB',
+  memory: 'This session only',
+  fallback: 'This session only (DuckDB unavailable)',
+}
+
+function formatLatLng(lat, lng) {
+  return `${Math.abs(lat).toFixed(0)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lng).toFixed(0)}°${lng >= 0 ? 'E' : 'W'}`
+}
+
 function formatDuration(duration) {
   const hours = Math.floor(duration), minutes = Math.floor((duration - hours) * 60), seconds = Math.floor(((duration - hours) * 60 - minutes) * 60)
   return `${hours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`
 }
 
-function toIsoDateInput(date) {
-  const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
-  return localDate.toISOString().split('T')[0]
+// The selected date is always a UTC midnight. calculate() reads that as the
+// evening (or morning) of that day at every longitude, whereas any other time
+// of day moves part of the world on to the next evening.
+function toUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
 }
 
-function getIslamicDateParts(date) {
-  const parts = new Intl.DateTimeFormat('en-US-u-ca-islamic', {
-    day: 'numeric',
-    month: 'long',
-    year: 'numeric',
-    weekday: 'long',
-  }).formatToParts(date)
-  const pick = (type) => parts.find((p) => p.type === type)?.value
-  return {
-    weekday: pick('weekday') || '',
-    day: pick('day') || '--',
-    monthName: pick('month') || '--',
-    year: pick('year') || '--',
-  }
+// Tonight in the visitor's own calendar.
+function getToday() {
+  const now = new Date()
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
 }
 
-function getIslamicNumeric(date) {
-  const parts = new Intl.DateTimeFormat('en-US-u-ca-islamic', {
-    day: 'numeric',
-    month: 'numeric',
-    year: 'numeric',
-  }).formatToParts(date)
-  const day = parseInt(parts.find((p) => p.type === 'day')?.value ?? '0', 10)
-  const month = parseInt(parts.find((p) => p.type === 'month')?.value ?? '0', 10)
-  const year = parseInt(parts.find((p) => p.type === 'year')?.value ?? '0', 10)
-  return { day, month, year }
+// The UTC day, which is what `<input type="date">` parses its value back to.
+function toIsoDateInput(date) {
+  return date.toISOString().slice(0, 10)
 }
 
-function getDaysUntilRamadan(date) {
-  const oneDay = 24 * 60 * 60 * 1000
-  for (let i = 0; i <= 420; i += 1) {
-    const probe = new Date(date.getTime() + i * oneDay)
-    const islamic = getIslamicNumeric(probe)
-    if (islamic.month === 9 && islamic.day === 1) return i
-  }
-  return null
+function formatHijri({ day, monthName, year }) {
+  return `${day} ${monthName} ${year}`
+}
+
+function formatUtcDay(date) {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
 }
 
 function getQiblaBearing(lat, lng) {
@@ -119,7 +135,21 @@ function getWeatherCodeLabel(code) {
   return 'Unknown'
 }
 
+// Delay before precomputing upcoming crescent grids, so the visible grid goes first.
+const PRECOMPUTE_DELAY = 5000
+
+// Pause on each playback frame once its grid is drawn, and between altitude
+// samples.
+const PLAYBACK_FRAME_DELAY = 1500
+const ALTITUDE_STEP_DELAY = 120
+
+// Animation exports: map centres for the longitude sweep (east to west, the
+// way the visibility band moves) and how long to wait for a frame's grid.
+const SWEEP_LONGITUDES = [150, 120, 90, 60, 30, 0, -30, -60, -90, -120, -150]
+const FRAME_GRID_TIMEOUT = 60000
+
 async function fetchElevationMeters(lat, lng) {
+  if (!navigator.onLine) throw new Error('Offline')
   const url = `https://api.open-meteo.com/v1/elevation?latitude=${lat.toFixed(5)}&longitude=${lng.toFixed(5)}`
   const res = await fetch(url)
   if (!res.ok) throw new Error('Elevation API request failed')
@@ -129,53 +159,364 @@ async function fetchElevationMeters(lat, lng) {
   return value
 }
 
-function getAntimeridianSafeFeature(h3Id, color) {
-  const boundary = h3.cellToBoundary(h3Id)
-  const lngs = boundary.map(b => b[1])
-  let crosses = false
-  for (let i = 0; i < lngs.length; i++) {
-    const next = lngs[(i + 1) % lngs.length]
-    if (Math.abs(lngs[i] - next) > 180) { crosses = true; break }
-  }
-  if (!crosses) {
-    const coords = boundary.map(b => [b[1], b[0]])
-    coords.push(coords[0])
-    return { type: 'Feature', properties: { color }, geometry: { type: 'Polygon', coordinates: [coords] } }
+function formatUtcTime(ms) {
+  return Number.isFinite(ms) ? `${new Date(ms).toISOString().slice(11, 16)} UTC` : '--'
+}
+
+function formatNumber(value, digits = 2, unit = '') {
+  return Number.isFinite(value) ? `${value.toFixed(digits)}${unit}` : '--'
+}
+
+function CellInspector({ id, result, criterion, evening }) {
+  const [lat, lng] = h3.cellToLatLng(id)
+  const rows = [
+    ['Resolution', h3.getResolution(id)],
+    ['Centroid', `${lat.toFixed(3)}°, ${lng.toFixed(3)}°`],
+    [evening ? 'Sunset' : 'Sunrise', formatUtcTime(result?.sunset)],
+    [evening ? 'Moonset' : 'Moonrise', formatUtcTime(result?.moonset)],
+    ['Lag', Number.isFinite(result?.lag) ? formatDuration(Math.abs(result.lag)) : '--'],
+    ['Moon age', formatNumber(result?.age, 1, ' h')],
+    ['ARCV', formatNumber(result?.arcv, 2, '°')],
+    ['ARCL', formatNumber(result?.arcl, 2, '°')],
+    ['W', formatNumber(result?.w, 3, "'")],
+  ]
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <span className="flex h-8 min-w-8 items-center justify-center rounded-lg border border-cyan-400/40 bg-cyan-500/20 px-1 text-lg font-black text-cyan-300">{result?.qcode ?? '?'}</span>
+        <div className="min-w-0">
+          <p className="truncate font-mono text-[11px] text-slate-300">{id}</p>
+          <p className="text-[11px] text-slate-400">
+            {result
+              ? `${getCodeInfo(result.qcode, criterion, evening)?.label ?? ''} · ${getCriterion(criterion).valueLabel} ${formatNumber(result.value, 3)}`
+              : 'Not computed for the current settings'}
+          </p>
+        </div>
+      </div>
+      <dl className="grid grid-cols-2 gap-x-3 gap-y-0.5 text-[11px]">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-2">
+            <dt className="text-slate-500">{label}</dt>
+            <dd className="text-slate-200">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </div>
+  )
+}
+
+function toUtcTimeInput(date) {
+  return date ? date.toISOString().slice(11, 16) : ''
+}
+
+function SightingForm({ defaultTime, onSubmit, onCancel }) {
+  const [form, setForm] = useState({ observer: '', result: SIGHTING_RESULTS[0].id, instrument: '', sky: SKY_CONDITIONS[0], time: defaultTime, notes: '' })
+  const [saving, setSaving] = useState(false)
+  const update = (field) => (e) => setForm((current) => ({ ...current, [field]: e.target.value }))
+  const inputClass = 'w-full rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await onSubmit(form)
+    } finally {
+      setSaving(false)
+    }
   }
-  const leftCoords = boundary.map(b => [b[1] < 0 ? b[1] + 360 : b[1], b[0]])
-  const rightCoords = boundary.map(b => [b[1] > 0 ? b[1] - 360 : b[1], b[0]])
-  leftCoords.push(leftCoords[0]); rightCoords.push(rightCoords[0])
-  return { type: 'Feature', properties: { color }, geometry: { type: 'MultiPolygon', coordinates: [[leftCoords], [rightCoords]] } }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 rounded-lg border border-slate-800 bg-slate-950/70 p-3 text-xs">
+      <input required placeholder="Observer name" value={form.observer} onChange={update('observer')} className={inputClass} />
+      <select value={form.result} onChange={update('result')} className={inputClass}>
+        {SIGHTING_RESULTS.map((result) => <option key={result.id} value={result.id}>{result.label}</option>)}
+      </select>
+      <div className="grid grid-cols-2 gap-2">
+        <input placeholder="Instrument (e.g. 10x50)" value={form.instrument} onChange={update('instrument')} className={inputClass} />
+        <select value={form.sky} onChange={update('sky')} className={inputClass}>
+          {SKY_CONDITIONS.map((sky) => <option key={sky}>{sky}</option>)}
+        </select>
+      </div>
+      <label className="flex items-center gap-2 text-slate-400">
+        Time (UTC)
+        <input required type="time" value={form.time} onChange={update('time')} className={inputClass} />
+      </label>
+      <textarea placeholder="Notes" rows={2} value={form.notes} onChange={update('notes')} className={inputClass} />
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-md px-2 py-1 text-slate-400 hover:text-slate-200">Cancel</button>
+        <button type="submit" disabled={saving} className="rounded-md bg-cyan-600 px-3 py-1 font-medium text-white hover:bg-cyan-500 disabled:opacity-60">
+          {saving ? 'Saving...' : 'Save report'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+const CHART = { width: 280, height: 150, left: 28, right: 8, top: 8, bottom: 18 }
+
+function AltitudeTrack({ track, evening }) {
+  const { samples, sunEvent, moonEvent, bestTime } = track
+  const [cursor, setCursor] = useState(0)
+  const [playing, setPlaying] = useState(false)
+
+  useEffect(() => {
+    setPlaying(false)
+    const best = samples.findIndex((sample) => sample.time >= bestTime)
+    setCursor(best >= 0 ? best : 0)
+  }, [samples, bestTime])
+
+  useEffect(() => {
+    if (!playing) return
+    if (cursor >= samples.length - 1) { setPlaying(false); return }
+    const timer = setTimeout(() => setCursor(cursor + 1), ALTITUDE_STEP_DELAY)
+    return () => clearTimeout(timer)
+  }, [playing, cursor, samples.length])
+
+  const start = samples[0].time, end = samples[samples.length - 1].time
+  const altitudes = samples.flatMap((sample) => [sample.sun, sample.moon])
+  const low = Math.max(-20, Math.min(-5, ...altitudes)), high = Math.max(15, ...altitudes) + 2
+  const x = (time) => CHART.left + ((time - start) / (end - start)) * (CHART.width - CHART.left - CHART.right)
+  const y = (alt) => CHART.top + ((high - Math.max(low, alt)) / (high - low)) * (CHART.height - CHART.top - CHART.bottom)
+  const line = (body) => samples.map((sample) => `${x(sample.time).toFixed(1)},${y(sample[body]).toFixed(1)}`).join(' ')
+  const markers = [
+    [sunEvent, evening ? 'Sunset' : 'Sunrise', '#f59e0b'],
+    [moonEvent, evening ? 'Moonset' : 'Moonrise', '#94a3b8'],
+    [bestTime, 'Best time', '#22d3ee'],
+  ].filter(([time]) => Number.isFinite(time) && time >= start && time <= end)
+  const current = samples[cursor] ?? samples[0]
+  const fromSun = Math.round((current.time - sunEvent) / 60000)
+
+  return (
+    <div className="space-y-2">
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full rounded-xl border border-slate-800 bg-slate-950/70">
+        {[0, 10, 20, 30, 40, 50, 60].filter((alt) => alt > low && alt < high).map((alt) => (
+          <g key={alt}>
+            <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(alt)} y2={y(alt)} stroke={alt === 0 ? '#64748b' : '#1e293b'} strokeWidth={alt === 0 ? 1 : 0.5} />
+            <text x={CHART.left - 4} y={y(alt) + 3} textAnchor="end" fontSize="8" fill="#64748b">{alt}°</text>
+          </g>
+        ))}
+        {markers.map(([time, label, color]) => (
+          <g key={label}>
+            <line x1={x(time)} x2={x(time)} y1={CHART.top} y2={CHART.height - CHART.bottom} stroke={color} strokeWidth="0.75" strokeDasharray="3 2" />
+            <text x={x(time)} y={CHART.height - 6} textAnchor="middle" fontSize="7" fill={color}>{label}</text>
+          </g>
+        ))}
+        <polyline points={line('sun')} fill="none" stroke="#f59e0b" strokeWidth="1.5" />
+        <polyline points={line('moon')} fill="none" stroke="#e2e8f0" strokeWidth="1.5" />
+        <line x1={x(current.time)} x2={x(current.time)} y1={CHART.top} y2={CHART.height - CHART.bottom} stroke="#f8fafc" strokeWidth="0.75" />
+        <circle cx={x(current.time)} cy={y(current.sun)} r="3" fill="#f59e0b" />
+        <circle cx={x(current.time)} cy={y(current.moon)} r="3" fill="#e2e8f0" />
+      </svg>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => { if (cursor >= samples.length - 1) setCursor(0); setPlaying((prev) => !prev) }}
+          className="rounded-md border border-slate-600 bg-slate-800 px-2.5 py-1 text-xs text-slate-100 transition hover:bg-slate-700"
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <input type="range" min={0} max={samples.length - 1} value={cursor}
+          onChange={(e) => { setPlaying(false); setCursor(Number(e.target.value)) }}
+          className="flex-1 accent-cyan-500" />
+      </div>
+      <p className="text-xs text-slate-400">
+        <span className="font-mono text-slate-200">{formatUtcTime(current.time)}</span>
+        {' · '}{Math.abs(fromSun)} min {fromSun >= 0 ? 'after' : 'before'} {evening ? 'sunset' : 'sunrise'}
+        {' · '}Sun <span className="text-amber-300">{current.sun.toFixed(1)}°</span>
+        {' · '}Moon <span className="text-slate-100">{current.moon.toFixed(1)}°</span>
+      </p>
+    </div>
+  )
+}
+
+const SKY_CHART = { width: 280, height: 190, moonRadius: 11 }
+const LIMB_DIRECTIONS = ['up', 'up-right', 'right', 'down-right', 'down', 'down-left', 'left', 'up-left']
+
+function limbDirection(bearing) {
+  return LIMB_DIRECTIONS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8]
+}
+
+// Facing the horizon with azimuth increasing to the right and the same scale
+// on both axes, so distances and the crescent's tilt are as seen in the sky.
+// The moon is drawn enlarged.
+function SkyChart({ track, bestTime, evening }) {
+  const best = Math.max(0, track.findIndex((view) => view.time >= bestTime))
+  const [index, setIndex] = useState(best)
+
+  useEffect(() => setIndex(best), [track, best])
+
+  const reference = track[0].moon.azimuth
+  const unwrap = (azimuth) => reference + ((((azimuth - reference) % 360) + 540) % 360) - 180
+  const azimuths = track.flatMap((view) => [unwrap(view.sun.azimuth), unwrap(view.moon.azimuth)])
+  const altitudes = track.flatMap((view) => [view.sun.altitude, view.moon.altitude])
+  const azMin = Math.min(...azimuths) - 6, azMax = Math.max(...azimuths) + 6
+  const altMin = Math.min(-6, ...altitudes) - 3, altMax = Math.max(10, ...altitudes) + 4
+  const scale = Math.min(SKY_CHART.width / (azMax - azMin), SKY_CHART.height / (altMax - altMin))
+  const azCenter = (azMin + azMax) / 2, altCenter = (altMin + altMax) / 2
+  const x = (azimuth) => SKY_CHART.width / 2 + (unwrap(azimuth) - azCenter) * scale
+  const y = (altitude) => SKY_CHART.height / 2 - (altitude - altCenter) * scale
+  const horizonY = y(0)
+  const tickStep = scale > 12 ? 5 : scale > 5 ? 10 : 30
+  const ticks = []
+  for (let az = Math.ceil((azCenter - SKY_CHART.width / 2 / scale) / tickStep) * tickStep; az <= azCenter + SKY_CHART.width / 2 / scale; az += tickStep) ticks.push(az)
+
+  const view = track[Math.min(index, track.length - 1)]
+  const moonX = x(view.moon.azimuth), moonY = y(view.moon.altitude)
+  const sunX = x(view.sun.azimuth), sunY = y(view.sun.altitude)
+  const rotation = Math.atan2(-Math.cos(view.limbBearing * Astronomy.DEG2RAD), Math.sin(view.limbBearing * Astronomy.DEG2RAD)) * Astronomy.RAD2DEG
+
+  return (
+    <div className="space-y-2">
+      <svg viewBox={`0 0 ${SKY_CHART.width} ${SKY_CHART.height}`} className="w-full rounded-xl border border-slate-800">
+        <defs>
+          <linearGradient id="sky-chart-sky" x1="0" y1="1" x2="0" y2="0">
+            <stop offset="0" stopColor="#1e3a5f" />
+            <stop offset="1" stopColor="#020617" />
+          </linearGradient>
+        </defs>
+        <rect width={SKY_CHART.width} height={Math.max(0, horizonY)} fill="url(#sky-chart-sky)" />
+        <rect y={horizonY} width={SKY_CHART.width} height={Math.max(0, SKY_CHART.height - horizonY)} fill="#0b1120" />
+        <line x1="0" x2={SKY_CHART.width} y1={horizonY} y2={horizonY} stroke="#64748b" />
+        {ticks.map((az) => {
+          const normalized = ((az % 360) + 360) % 360
+          const cardinal = normalized % 45 === 0
+          return (
+            <g key={az}>
+              <line x1={x(az)} x2={x(az)} y1={horizonY} y2={horizonY + (cardinal ? 6 : 3)} stroke="#64748b" />
+              <text x={x(az)} y={horizonY + 14} textAnchor="middle" fontSize="7" fill={cardinal ? '#e2e8f0' : '#64748b'}>
+                {cardinal ? compassPoint(normalized) : `${normalized}°`}
+              </text>
+            </g>
+          )
+        })}
+        <line x1={sunX} x2={moonX} y1={sunY} y2={sunY} stroke="#f59e0b" strokeWidth="0.75" strokeDasharray="2 2" />
+        <line x1={moonX} x2={moonX} y1={sunY} y2={moonY} stroke="#22d3ee" strokeWidth="0.75" strokeDasharray="2 2" />
+        <line x1={sunX} x2={moonX} y1={sunY} y2={moonY} stroke="#94a3b8" strokeWidth="0.5" strokeDasharray="1 2" />
+        <text x={(sunX + moonX) / 2} y={sunY + 9} textAnchor="middle" fontSize="7" fill="#f59e0b">DAZ {view.daz.toFixed(1)}°</text>
+        <text x={moonX + 4} y={(sunY + moonY) / 2} fontSize="7" fill="#22d3ee">ARCV {view.arcv.toFixed(1)}°</text>
+        <text x={(sunX + moonX) / 2 - 4} y={(sunY + moonY) / 2 - 4} textAnchor="end" fontSize="7" fill="#94a3b8">ARCL {view.arcl.toFixed(1)}°</text>
+        <circle cx={sunX} cy={sunY} r="6" fill={view.sun.altitude < 0 ? 'none' : '#f59e0b'} stroke="#f59e0b" strokeDasharray={view.sun.altitude < 0 ? '2 1.5' : undefined} />
+        <g transform={`translate(${moonX} ${moonY}) rotate(${rotation})`} opacity={view.moon.altitude < 0 ? 0.4 : 1}>
+          <circle r={SKY_CHART.moonRadius} fill="#1e293b" stroke="#334155" strokeWidth="0.5" />
+          <path d={crescentPath(SKY_CHART.moonRadius, view.fraction)} fill="#f8fafc" />
+        </g>
+      </svg>
+      {track.length > 1 && (
+        <input type="range" min={0} max={track.length - 1} value={index} onChange={(e) => setIndex(Number(e.target.value))}
+          className="w-full accent-cyan-500" />
+      )}
+      <p className="text-xs text-slate-400">
+        <span className="font-mono text-slate-200">{formatUtcTime(view.time)}</span>
+        {index === best ? ' (best time)' : ''}
+        {' · '}Moon alt <span className="text-slate-100">{view.moon.altitude.toFixed(1)}°</span>, az <span className="text-slate-100">{view.moon.azimuth.toFixed(1)}° {compassPoint(view.moon.azimuth)}</span>
+        {' · '}Sun alt {view.sun.altitude.toFixed(1)}°
+      </p>
+      <p className="text-xs text-slate-400">
+        {(view.fraction * 100).toFixed(1)}% lit · bright limb points {limbDirection(view.limbBearing)}, horns {limbDirection(view.limbBearing + 180)}
+        {' · '}{evening ? 'Sunset to moonset' : 'Moonrise to sunrise'}
+      </p>
+    </div>
+  )
+}
+
+const MOON_RADIUS = 100
+
+// Albedo features on the whole disc, faint on the night side (earthshine)
+// and full strength inside the lit part.
+function MoonDisc({ rendering }) {
+  const { fraction, litRotation, maria, northPole } = rendering
+  const size = MOON_RADIUS + 12
+  const maskId = 'moon-disc-lit'
+  return (
+    <svg viewBox={`${-size} ${-size} ${size * 2} ${size * 2}`} className="relative aspect-square w-full rounded-xl shadow-2xl border border-slate-700 bg-slate-950" role="img" aria-label="Moon phase">
+      <defs>
+        <radialGradient id="moon-disc-shade" cx="0.42" cy="0.4" r="0.65">
+          <stop offset="0" stopColor="#f1f5f9" />
+          <stop offset="1" stopColor="#94a3b8" />
+        </radialGradient>
+        <clipPath id={maskId}>
+          <path d={crescentPath(MOON_RADIUS, fraction)} transform={`rotate(${litRotation})`} />
+        </clipPath>
+      </defs>
+      <circle r={MOON_RADIUS} fill="#111827" />
+      <g fill="#020617" opacity="0.5">
+        {maria.map((d, i) => <path key={i} d={d} />)}
+      </g>
+      <g clipPath={`url(#${maskId})`}>
+        <circle r={MOON_RADIUS} fill="url(#moon-disc-shade)" />
+        <g fill="#475569" opacity="0.55">
+          {maria.map((d, i) => <path key={i} d={d} />)}
+        </g>
+      </g>
+      <circle r={MOON_RADIUS} fill="none" stroke="#334155" strokeWidth="0.75" />
+      <text x={northPole[0] * 1.09} y={northPole[1] * 1.09 + 3} textAnchor="middle" fontSize="8" fill="#64748b">N</text>
+    </svg>
+  )
 }
 
 export default function App() {
-  const [date, setDate] = useState(new Date())
-  const [elevation, setElevation] = useState(100)
-  const [coords, setCoords] = useState(null)
+  const [date, setDateState] = useState(URL_STATE.date ?? getToday())
+  const setDate = useCallback((next) => setDateState(toUtcDay(next)), [])
+  const [elevation, setElevation] = useState(URL_STATE.elevation ?? 100)
+  const [criterion, setCriterion] = useState(URL_STATE.criterion ?? CRITERIA_LIST[0].id)
+  const [evening, setEvening] = useState(URL_STATE.evening ?? true)
+  const [coords, setCoords] = useState(URL_STATE.coords ?? null)
   const [recalculating, setRecalculating] = useState(false)
-  const [hemisphere, setHemisphere] = useState('north')
+  const [gridProgress, setGridProgress] = useState(null)
+  const [hemisphere, setHemisphere] = useState(URL_STATE.coords ? getHemisphere(URL_STATE.coords[0]) : 'north')
   const [mapLoaded, setMapLoaded] = useState(false)
   const [dbReady, setDbReady] = useState(false)
+  const [moonSource, setMoonSource] = useState('rendered')
   const [moonError, setMoonError] = useState(null)
   const [moonPhaseMsg, setMoonPhaseMsg] = useState(null)
-  const [manualRes, setManualRes] = useState(null)
-  const [mapStyle, setMapStyle] = useState(MAP_STYLES[0].id)
-  const [mapMode, setMapMode] = useState('2d')
+  const [manualRes, setManualRes] = useState(URL_STATE.manualRes ?? null)
+  const [mapStyle, setMapStyle] = useState(() => URL_STATE.mapStyle ?? (navigator.onLine ? MAP_STYLES[0].id : 'offline'))
+  const [mapMode, setMapMode] = useState(URL_STATE.mapMode ?? '2d')
   const [locationName, setLocationName] = useState('Unknown location')
   const [locationLoading, setLocationLoading] = useState(false)
+  const [weatherProvider, setWeatherProvider] = useState(URL_STATE.weatherProvider ?? WEATHER_PROVIDERS[0].id)
   const [weather, setWeather] = useState(null)
   const [weatherLoading, setWeatherLoading] = useState(false)
   const [weatherError, setWeatherError] = useState(null)
-  const [showCloudOverlay, setShowCloudOverlay] = useState(false)
+  const [showCloudOverlay, setShowCloudOverlay] = useState(URL_STATE.showCloudOverlay ?? false)
+  const [showHexes, setShowHexes] = useState(true)
+  const [showContours, setShowContours] = useState(true)
+  const [colorMode, setColorMode] = useState('codes')
+  // Only the hovered cell id is state; the tooltip follows the pointer through
+  // its ref, so moving within a cell does not re-render the app.
+  const [hoveredCellId, setHoveredCellId] = useState(null)
+  const hoverTooltipRef = useRef(null)
+  const hoverPointRef = useRef({ x: 0, y: 0 })
+  const [pinnedCell, setPinnedCell] = useState(null)
   const [elevationLoading, setElevationLoading] = useState(false)
   const [toast, setToast] = useState(null)
+  const [nextCrescent, setNextCrescent] = useState(null)
+  const [cacheStats, setCacheStats] = useState(null)
+  const [nextCrescentLoading, setNextCrescentLoading] = useState(false)
+  const [online, setOnline] = useState(navigator.onLine)
+  const [sightings, setSightings] = useState([])
+  const [reportOpen, setReportOpen] = useState(false)
+  const [observationImport, setObservationImport] = useState(null)
+  const [observationScore, setObservationScore] = useState(null)
+  const [playing, setPlaying] = useState(false)
+  const [recording, setRecording] = useState(null)
+  const [calendarPolicy, setCalendarPolicy] = useState(URL_STATE.calendarPolicy ?? 'ummalqura')
+  const [calendar, setCalendar] = useState(null)
+  const [calendarError, setCalendarError] = useState(null)
+  const [forecast, setForecast] = useState(null)
+  const [forecastLoading, setForecastLoading] = useState(false)
 
   const mapContainerRef = useRef(null)
   const mapRef = useRef(null)
   const markerRef = useRef(null)
-  const workerRef = useRef(null)
+  const gridRequestRef = useRef(0)
+  const gridWaitersRef = useRef([])
+  const forecastRequestRef = useRef(0)
   const toastTimerRef = useRef(null)
   const displayedResults = useRef(new Map())
+  const contoursRef = useRef({ type: 'FeatureCollection', features: [] })
+  const contourRequestRef = useRef(0)
+  const precomputeRequestRef = useRef(0)
+  const calendarRequestRef = useRef(0)
   const currentResolution = useRef(1)
 
   const showToast = useCallback((message, tone = 'warning') => {
@@ -186,18 +527,38 @@ export default function App() {
 
   useEffect(() => {
     initDB().then(() => setDbReady(true))
-    workerRef.current = new Worker(new URL('./utils/worker.js', import.meta.url), { type: 'module' })
-    workerRef.current.onmessage = async (e) => {
-      const results = e.data
-      await cacheResults(results, date, elevation)
-      results.forEach(res => displayedResults.current.set(res.id, res))
-      if (mapRef.current && mapLoaded) {
-        updateMapWithResultsRef.current(Array.from(displayedResults.current.values()))
-      }
-      setRecalculating(false)
+  }, [])
+
+  useEffect(() => {
+    if (!dbReady) return
+    getSightings().then(setSightings).catch((e) => console.error('Sightings Error:', e))
+  }, [dbReady])
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!mapLoaded || !dbReady) return
+    // A fresh id per run, so a loop from earlier settings (A→B→A) is never
+    // mistaken for the current one.
+    const requestId = `precompute-${++precomputeRequestRef.current}`
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      precomputeUpcomingGrids(getToday(), { elevation, criterion }, { requestId, signal: controller.signal })
+        .catch((e) => { if (e.name !== 'AbortError') console.error('Precompute Error:', e) })
+    }, PRECOMPUTE_DELAY)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
     }
-    return () => workerRef.current?.terminate()
-  }, [date, elevation, mapLoaded])
+  }, [mapLoaded, dbReady, criterion, elevation])
 
   useEffect(() => {
     return () => {
@@ -214,7 +575,13 @@ export default function App() {
 
   const updateMapWithResults = useCallback((results) => {
     if (!mapRef.current || !mapLoaded) return
-    const features = results.map(res => getAntimeridianSafeFeature(res.id, res.color))
+    const features = results.map(res => getAntimeridianSafeFeature(res.id, {
+      id: res.id,
+      qcode: res.qcode,
+      color: res.color,
+      value: res.value ?? null,
+      ramp: Number.isFinite(res.value) && !isStatusCode(res.qcode),
+    }))
     const source = mapRef.current.getSource('moonsighting-grid')
     if (source) {
       source.setData({ type: 'FeatureCollection', features })
@@ -222,17 +589,31 @@ export default function App() {
       mapRef.current.addSource('moonsighting-grid', { type: 'geojson', data: { type: 'FeatureCollection', features } })
       mapRef.current.addLayer({
         id: 'moonsighting-grid', type: 'fill', source: 'moonsighting-grid',
-        paint: { 'fill-color': ['get', 'color'], 'fill-opacity': 0.4, 'fill-antialias': false }
+        paint: { 'fill-color': gridFillColorRef.current, 'fill-opacity': 0.4, 'fill-antialias': false }
       })
     }
-    // Keep cloud overlay above the visibility grid when both are enabled.
-    if (mapRef.current.getLayer(CLOUD_LAYER_ID)) {
-      mapRef.current.moveLayer(CLOUD_LAYER_ID)
-    }
+    mapRef.current.setLayoutProperty('moonsighting-grid', 'visibility', showHexesRef.current ? 'visible' : 'none')
+    keepOverlaysOnTop(mapRef.current)
   }, [mapLoaded])
 
   const updateMapWithResultsRef = useRef(updateMapWithResults)
   updateMapWithResultsRef.current = updateMapWithResults
+  const showHexesRef = useRef(showHexes)
+  showHexesRef.current = showHexes
+  const gridFillColorRef = useRef(null)
+  gridFillColorRef.current = getGridFillColor(criterion, colorMode)
+
+  useEffect(() => {
+    if (mapRef.current?.getLayer('moonsighting-grid')) {
+      mapRef.current.setPaintProperty('moonsighting-grid', 'fill-color', getGridFillColor(criterion, colorMode))
+    }
+  }, [criterion, colorMode, mapLoaded])
+
+  useEffect(() => {
+    if (mapRef.current?.getLayer('moonsighting-grid')) {
+      mapRef.current.setLayoutProperty('moonsighting-grid', 'visibility', showHexes ? 'visible' : 'none')
+    }
+  }, [showHexes, mapLoaded])
 
   const syncCloudOverlay = useCallback(() => {
     if (!mapRef.current || !mapLoaded) return
@@ -265,12 +646,147 @@ export default function App() {
         },
       })
     }
-    // Ensure cloud layer stays on top after any source/layer updates.
-    if (map.getLayer(CLOUD_LAYER_ID)) {
-      map.moveLayer(CLOUD_LAYER_ID)
-    }
+    keepOverlaysOnTop(map)
   }, [mapLoaded, showCloudOverlay])
 
+  const updateMapWithContours = useCallback((collection) => {
+    if (!mapRef.current || !mapLoaded) return
+    const map = mapRef.current
+    const labelFont = MAP_STYLES.find((style) => style.id === mapStyle)?.labelFont
+    const data = showContours ? collection : { type: 'FeatureCollection', features: [] }
+    const source = map.getSource(CONTOUR_SOURCE_ID)
+    if (source) {
+      source.setData(data)
+    } else {
+      map.addSource(CONTOUR_SOURCE_ID, { type: 'geojson', data })
+      map.addLayer({
+        id: CONTOUR_LAYER_ID, type: 'line', source: CONTOUR_SOURCE_ID,
+        layout: { 'line-join': 'round', 'line-cap': 'round' },
+        paint: { 'line-color': ['get', 'color'], 'line-width': 2 },
+      })
+      map.addLayer({
+        id: CONTOUR_LABEL_LAYER_ID, type: 'symbol', source: CONTOUR_SOURCE_ID,
+        layout: {
+          'symbol-placement': 'line', 'text-field': ['get', 'label'], 'text-size': 11, 'symbol-spacing': 250,
+          ...(labelFont && { 'text-font': labelFont }),
+        },
+        paint: { 'text-color': '#f8fafc', 'text-halo-color': '#020617', 'text-halo-width': 1.5 },
+      })
+    }
+    keepOverlaysOnTop(map)
+  }, [mapLoaded, showContours, mapStyle])
+
+  const updateMapWithContoursRef = useRef(updateMapWithContours)
+  updateMapWithContoursRef.current = updateMapWithContours
+
+  // Reports for the evening (or morning) on screen, to compare with the grid.
+  // Both observedDate and the selected date are UTC days.
+  const visibleSightings = useMemo(() => {
+    const day = toIsoDateInput(date)
+    return sightings.filter((sighting) => sighting.observedDate === day && sighting.evening === evening)
+  }, [sightings, date, evening])
+
+  const updateMapWithSightings = useCallback(() => {
+    if (!mapRef.current || !mapLoaded) return
+    const map = mapRef.current
+    const data = sightingsToGeoJSON(visibleSightings)
+    const source = map.getSource(SIGHTINGS_SOURCE_ID)
+    if (source) {
+      source.setData(data)
+    } else {
+      map.addSource(SIGHTINGS_SOURCE_ID, { type: 'geojson', data })
+      map.addLayer({
+        id: SIGHTINGS_LAYER_ID, type: 'circle', source: SIGHTINGS_SOURCE_ID,
+        paint: { 'circle-radius': 6, 'circle-color': ['get', 'color'], 'circle-stroke-color': '#f8fafc', 'circle-stroke-width': 2 },
+      })
+    }
+    keepOverlaysOnTop(map)
+  }, [mapLoaded, visibleSightings])
+
+  const updateMapWithObservations = useCallback(() => {
+    if (!mapRef.current || !mapLoaded) return
+    const map = mapRef.current
+    const data = observationsToGeoJSON(observationScore?.rows ?? [])
+    const source = map.getSource(OBSERVATIONS_SOURCE_ID)
+    if (source) {
+      source.setData(data)
+    } else {
+      map.addSource(OBSERVATIONS_SOURCE_ID, { type: 'geojson', data })
+      // Fill shows what was observed; the ring shows whether the prediction agreed.
+      map.addLayer({
+        id: OBSERVATIONS_LAYER_ID, type: 'circle', source: OBSERVATIONS_SOURCE_ID,
+        paint: {
+          'circle-radius': 5, 'circle-color': ['get', 'color'],
+          'circle-stroke-color': ['case', ['get', 'hit'], '#e2e8f0', '#ef4444'], 'circle-stroke-width': 2,
+        },
+      })
+    }
+    keepOverlaysOnTop(map)
+  }, [mapLoaded, observationScore])
+
+  const updateMapWithObservationsRef = useRef(updateMapWithObservations)
+  updateMapWithObservationsRef.current = updateMapWithObservations
+
+  useEffect(() => {
+    updateMapWithObservations()
+  }, [updateMapWithObservations])
+
+  useEffect(() => {
+    if (!observationImport?.records.length) {
+      setObservationScore(null)
+      return
+    }
+    const pool = getWorkerPool()
+    const requestId = `observations-${criterion}`
+    let cancelled = false
+    predictObservations(observationImport.records, criterion, requestId)
+      .then((scored) => { if (!cancelled) setObservationScore(scoreObservations(scored, criterion)) })
+      .catch((e) => { if (e.name !== 'AbortError') console.error('Observation scoring failed', e) })
+    return () => {
+      cancelled = true
+      pool.cancel(requestId)
+    }
+  }, [observationImport, criterion])
+
+  const updateMapWithSightingsRef = useRef(updateMapWithSightings)
+  updateMapWithSightingsRef.current = updateMapWithSightings
+
+  useEffect(() => {
+    updateMapWithSightings()
+  }, [updateMapWithSightings])
+
+  const updateContours = useCallback(async () => {
+    if (!mapRef.current || !mapLoaded) return
+    getWorkerPool().cancel(`contours-${contourRequestRef.current}`)
+    const requestId = ++contourRequestRef.current
+    if (!showContours) {
+      updateMapWithContours(contoursRef.current)
+      return
+    }
+    try {
+      const collection = await computeContours(mapRef.current.getBounds(), { date, elevation, criterion, evening }, `contours-${requestId}`)
+      contoursRef.current = collection
+      updateMapWithContours(collection)
+    } catch (e) {
+      if (e.name !== 'AbortError') console.error("Contour Error:", e)
+    }
+  }, [date, elevation, criterion, evening, mapLoaded, showContours, updateMapWithContours])
+
+  // Settles callers of waitForGrid() once a grid request started after them
+  // has been drawn, or rejects them if it failed.
+  const settleGridWaiters = (requestId, error = null) => {
+    gridWaitersRef.current = gridWaitersRef.current.filter((waiter) => {
+      if (requestId <= waiter.after) return true
+      if (error) waiter.reject(error)
+      else waiter.resolve()
+      return false
+    })
+  }
+
+  const waitForGrid = () => new Promise((resolve, reject) => {
+    gridWaitersRef.current.push({ after: gridRequestRef.current, resolve, reject })
+  })
+
   const updateH3Grid = useCallback(async () => {
     if (!mapRef.current || !mapLoaded || !dbReady) return
     const map = mapRef.current, bounds = map.getBounds(), zoom = map.getZoom()
@@ -292,22 +808,53 @@ export default function App() {
     const nw = bounds.getNorthWest(), ne = bounds.getNorthEast(), se = bounds.getSouthEast(), sw = bounds.getSouthWest()
     const polygon = [[nw.lat, nw.lng], [ne.lat, ne.lng], [se.lat, se.lng], [sw.lat, sw.lng], [nw.lat, nw.lng]]
 
+    const pool = getWorkerPool()
+    pool.cancel(`grid-${gridRequestRef.current}`)
+    const requestId = ++gridRequestRef.current
+
     try {
       const hexes = h3.polygonToCells(polygon, res)
-      const cached = await getCachedResults(hexes, date, elevation)
+      const cached = await getCachedResults(hexes, { date, elevation, criterion, evening })
+      if (requestId !== gridRequestRef.current) return
       const cachedIds = new Set(cached.map(c => c.id))
       const missingHexes = hexes.filter(h => !cachedIds.has(h))
       cached.forEach(c => displayedResults.current.set(c.id, c))
-      
-      if (missingHexes.length > 0) {
-        setRecalculating(true)
-        const points = missingHexes.map(h => { const [lat, lng] = h3.cellToLatLng(h); return { id: h, lat, lng } })
-        workerRef.current.postMessage({ points, elevation, date, options: { yallop: true } })
-      } else {
-        updateMapWithResults(Array.from(displayedResults.current.values()))
+      updateMapWithResults(Array.from(displayedResults.current.values()))
+
+      if (missingHexes.length === 0) {
+        setRecalculating(false)
+        setGridProgress(null)
+        settleGridWaiters(requestId)
+        return
       }
-    } catch (e) { console.error("H3 Grid Error:", e) }
-  }, [date, elevation, mapLoaded, dbReady, manualRes, updateMapWithResults])
+
+      setRecalculating(true)
+      setGridProgress({ completed: 0, total: 1 })
+      const points = missingHexes.map(h => { const [lat, lng] = h3.cellToLatLng(h); return { id: h, lat, lng } })
+      // Render and cache every chunk as it arrives instead of waiting for the whole batch.
+      await pool.run({ points, elevation, date, options: { criterion, evening } }, {
+        requestId: `grid-${requestId}`,
+        chunkSize: Math.max(50, Math.ceil(points.length / (pool.size * 4))),
+        onChunk: (results, progress) => {
+          results.forEach(r => displayedResults.current.set(r.id, r))
+          updateMapWithResults(Array.from(displayedResults.current.values()))
+          setGridProgress(progress)
+          cacheResults(results, { date, elevation, criterion, evening }).catch(e => console.error("Cache Error:", e))
+        },
+      })
+      setRecalculating(false)
+      setGridProgress(null)
+      settleGridWaiters(requestId)
+    } catch (e) {
+      // A cancelled request has been replaced by a newer one, which settles the waiters.
+      if (e.name === 'AbortError') return
+      console.error("H3 Grid Error:", e)
+      if (requestId !== gridRequestRef.current) return
+      setRecalculating(false)
+      setGridProgress(null)
+      settleGridWaiters(requestId, e)
+    }
+  }, [date, elevation, criterion, evening, mapLoaded, dbReady, manualRes, updateMapWithResults])
 
   const locateUser = useCallback(() => {
     if ("geolocation" in navigator) {
@@ -319,14 +866,20 @@ export default function App() {
     }
   }, [])
 
-  useEffect(() => { if (mapLoaded && dbReady) { updateH3Grid(); locateUser() } }, [mapLoaded, dbReady, locateUser])
+  useEffect(() => {
+    if (!mapLoaded || !dbReady) return
+    updateH3Grid()
+    // A shared link already says where to look.
+    if (!URL_STATE.coords && !URL_STATE.view) locateUser()
+  }, [mapLoaded, dbReady, locateUser])
   useEffect(() => {
     if (mapLoaded && dbReady) {
       displayedResults.current.clear(); updateH3Grid()
       const phase = Astronomy.MoonPhase(Astronomy.MakeTime(date))
-      setMoonPhaseMsg(phase > 180 ? "Waning phase (Moonsighting is for waxing crescent)" : null)
+      if (evening) setMoonPhaseMsg(phase > 180 ? "Waning phase - switch to Morning mode for the waning crescent" : null)
+      else setMoonPhaseMsg(phase < 180 ? "Waxing phase - switch to Evening mode for the waxing crescent" : null)
     }
-  }, [date, elevation, mapLoaded, dbReady, updateH3Grid])
+  }, [date, elevation, criterion, evening, mapLoaded, dbReady, updateH3Grid])
 
   useEffect(() => {
     if (moonPhaseMsg) showToast(`⚠️ ${moonPhaseMsg}`, 'warning')
@@ -339,16 +892,41 @@ export default function App() {
     return () => mapRef.current.off('moveend', onMoveEnd)
   }, [mapLoaded, updateH3Grid])
 
+  useEffect(() => {
+    if (!mapRef.current || !mapLoaded) return
+    updateContours()
+    mapRef.current.on('moveend', updateContours)
+    return () => mapRef.current.off('moveend', updateContours)
+  }, [mapLoaded, updateContours])
+
   useEffect(() => {
     if (mapRef.current) return
     const map = new maplibregl.Map({
       container: mapContainerRef.current,
-      style: MAP_STYLES[0].url,
-      center: [20, 0], zoom: 2,
+      style: MAP_STYLES.find((style) => style.id === mapStyle).style,
+      center: URL_STATE.view ? [URL_STATE.view.lng, URL_STATE.view.lat] : [20, 0],
+      zoom: URL_STATE.view?.zoom ?? 2,
+      ...(URL_STATE.mapMode === '3d' ? { pitch: 60, bearing: 20 } : {}),
       preserveDrawingBuffer: true,
     })
     map.on('load', () => { mapRef.current = map; setMapLoaded(true) })
-    map.on('click', (e) => { setCoords([e.lngLat.lat, e.lngLat.lng]); setHemisphere(getHemisphere(e.lngLat.lat)) })
+    const gridFeatureAt = (point) => {
+      if (!map.getLayer('moonsighting-grid')) return null
+      return map.queryRenderedFeatures(point, { layers: ['moonsighting-grid'] })[0] ?? null
+    }
+    map.on('click', (e) => {
+      setCoords([e.lngLat.lat, e.lngLat.lng]); setHemisphere(getHemisphere(e.lngLat.lat))
+      setPinnedCell(gridFeatureAt(e.point)?.properties.id ?? null)
+    })
+    map.on('mousemove', (e) => {
+      hoverPointRef.current = e.point
+      if (hoverTooltipRef.current) {
+        hoverTooltipRef.current.style.left = `${e.point.x + 14}px`
+        hoverTooltipRef.current.style.top = `${e.point.y + 14}px`
+      }
+      setHoveredCellId(gridFeatureAt(e.point)?.properties.id ?? null)
+    })
+    map.on('mouseout', () => setHoveredCellId(null))
     return () => map.remove()
   }, [])
 
@@ -356,9 +934,12 @@ export default function App() {
     if (!mapRef.current) return
     const selected = MAP_STYLES.find((style) => style.id === mapStyle)
     if (!selected) return
-    mapRef.current.setStyle(selected.url)
+    mapRef.current.setStyle(selected.style)
     mapRef.current.once('style.load', () => {
       updateMapWithResultsRef.current(Array.from(displayedResults.current.values()))
+      updateMapWithContoursRef.current(contoursRef.current)
+      updateMapWithObservationsRef.current()
+      updateMapWithSightingsRef.current()
       syncCloudOverlay()
     })
   }, [mapStyle, syncCloudOverlay])
@@ -372,6 +953,23 @@ export default function App() {
     }
   }, [mapMode])
 
+  const syncUrl = useCallback(() => {
+    const map = mapRef.current
+    const center = map?.getCenter().wrap()
+    const view = center ? { zoom: map.getZoom(), lat: center.lat, lng: center.lng } : URL_STATE.view
+    const search = writeUrlState({ date, coords, elevation, criterion, evening, manualRes, mapStyle, mapMode, showCloudOverlay, calendarPolicy, weatherProvider, view })
+    if (search !== window.location.search) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search}${window.location.hash}`)
+    }
+  }, [date, coords, elevation, criterion, evening, manualRes, mapStyle, mapMode, showCloudOverlay, calendarPolicy, weatherProvider])
+
+  useEffect(() => {
+    syncUrl()
+    if (!mapRef.current || !mapLoaded) return
+    mapRef.current.on('moveend', syncUrl)
+    return () => mapRef.current.off('moveend', syncUrl)
+  }, [mapLoaded, syncUrl])
+
   useEffect(() => {
     if (!coords) return
     let cancelled = false
@@ -381,7 +979,7 @@ export default function App() {
         if (!cancelled) setLocationName(name)
       })
       .catch(() => {
-        if (!cancelled) setLocationName('Location name unavailable')
+        if (!cancelled) setLocationName(navigator.onLine ? 'Location name unavailable' : `${formatLatLng(coords[0], coords[1])} (offline)`)
       })
       .finally(() => {
         if (!cancelled) setLocationLoading(false)
@@ -389,13 +987,17 @@ export default function App() {
     return () => {
       cancelled = true
     }
-  }, [coords])
+  }, [coords, online])
 
   useEffect(() => {
+    // A linked elevation wins over the default and over a lookup for the linked location.
+    if (URL_STATE.elevation !== undefined && coords === (URL_STATE.coords ?? null)) return
     if (!coords) {
       setElevation(100)
       return
     }
+    // Offline, keep whatever elevation is set rather than resetting it.
+    if (!online) return
 
     let cancelled = false
     setElevationLoading(true)
@@ -414,66 +1016,241 @@ export default function App() {
     return () => {
       cancelled = true
     }
-  }, [coords])
+  }, [coords, online])
 
   useEffect(() => {
-    if (!coords) return
+    syncCloudOverlay()
+  }, [syncCloudOverlay])
+
+  const criterionLabel = getCriterion(criterion).label
+  const legend = useMemo(() => getLegend(criterion, evening), [criterion, evening])
+  const valueRamp = useMemo(() => getValueRamp(criterion), [criterion])
+  const details = useMemo(
+    () => (coords ? calculate(coords[0], coords[1], elevation, date, { criterion, evening }) : null),
+    [coords, elevation, date, criterion, evening],
+  )
+  // `date` is a UTC midnight; the moon is shown at the best time (or sunset)
+  // of the evening at the selected location, as the sky chart is.
+  const moonTime = details?.bestTime?.date.getTime() ?? details?.sunsetSunrise?.getTime() ?? date.getTime()
+  const moonImageURLs = getMoonImageURLs(new Date(moonTime), hemisphere === 'south')
+  const moonRendering = useMemo(() => getMoonRendering(new Date(moonTime), hemisphere === 'south', MOON_RADIUS), [moonTime, hemisphere])
+  const showNasaMoon = moonSource === 'nasa' && moonImageURLs && !moonError
+  const moonImageURL = moonImageURLs?.jpg ?? null
+  const moonIllumination = useMemo(() => {
+    const illum = Astronomy.Illumination(Astronomy.Body.Moon, Astronomy.MakeTime(new Date(moonTime)))
+    return Math.max(0, Math.min(100, illum.phase_fraction * 100))
+  }, [moonTime])
+  const selectedCalendar = calendar?.rows.find((row) => row.id === calendarPolicy) ?? null
+  const qiblaBearing = useMemo(() => {
+    if (!coords) return null
+    return getQiblaBearing(coords[0], coords[1])
+  }, [coords])
+  // A failed frame only hides that frame; the next one gets another try.
+  useEffect(() => setMoonError(null), [moonImageURL])
+  const playbackFrames = useMemo(() => getPlaybackFrames(date, evening), [date, evening])
+  const playbackIndex = findFrameIndex(playbackFrames, date)
+  const altitudeTrack = useMemo(() => {
+    if (!coords) return null
+    return getAltitudeTrack(coords[0], coords[1], elevation, date, { criterion, evening })
+  }, [coords, elevation, date, criterion, evening])
+  const sunEventTime = details?.sunsetSunrise?.getTime() ?? null
+  const moonEventTime = details?.moonsetMoonrise?.getTime() ?? null
+  const skyTrack = useMemo(() => {
+    if (!coords || sunEventTime === null) return []
+    const events = { sunsetSunrise: new Date(sunEventTime), moonsetMoonrise: moonEventTime === null ? null : new Date(moonEventTime) }
+    return getSkyTrack(coords[0], coords[1], elevation, events, evening)
+  }, [coords, elevation, sunEventTime, moonEventTime, evening])
+  const bestTimeMs = details?.bestTime?.date.getTime() ?? null
+
+  // Hourly forecast at sunset and at the best time of the selected evening
+  // (sunrise and best time for the morning crescent).
+  useEffect(() => {
+    setWeather(null)
+    if (!coords || sunEventTime === null) return
+    const provider = getWeatherProvider(weatherProvider)
+    if (provider.id !== 'mock' && !online) {
+      setWeatherLoading(false)
+      setWeatherError('Offline - weather unavailable')
+      return
+    }
     const controller = new AbortController()
     setWeatherLoading(true)
     setWeatherError(null)
 
-    const [lat, lng] = coords
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat.toFixed(4)}&longitude=${lng.toFixed(4)}&current=temperature_2m,relative_humidity_2m,cloud_cover,wind_speed_10m,precipitation,weather_code&timezone=auto`
-    fetch(url, { signal: controller.signal })
-      .then((res) => {
-        if (!res.ok) throw new Error('Weather API request failed')
-        return res.json()
-      })
-      .then((data) => {
-        if (!data.current) throw new Error('Weather data unavailable')
-        const current = data.current
-        setWeather({
-          tempC: current.temperature_2m,
-          humidity: current.relative_humidity_2m,
-          cloudCover: current.cloud_cover,
-          windKph: current.wind_speed_10m,
-          precipitation: current.precipitation,
-          weatherCode: current.weather_code,
-          weatherLabel: getWeatherCodeLabel(current.weather_code),
-          time: current.time,
-        })
+    getSightingWeather(provider, { lat: coords[0], lng: coords[1], sunset: sunEventTime, bestTime: bestTimeMs, signal: controller.signal })
+      .then((result) => {
+        if (!result.sunset && !result.best) throw new Error('No forecast for this date')
+        setWeather(result)
       })
       .catch((err) => {
         if (err.name === 'AbortError') return
-        setWeatherError('Weather data unavailable')
+        setWeatherError(err.message === 'No forecast for this date' ? err.message : 'Weather data unavailable')
       })
       .finally(() => {
         if (!controller.signal.aborted) setWeatherLoading(false)
       })
 
     return () => controller.abort()
-  }, [coords])
+  }, [coords, sunEventTime, bestTimeMs, weatherProvider, online])
+
+  const weatherSample = weather?.best ?? weather?.sunset ?? null
+  const sightingChance = details && weatherSample ? getSightingChance(details.qcode, criterion, weatherSample) : null
 
+  // Each frame waits for its grid (usually straight from the cache) before the delay starts.
   useEffect(() => {
-    syncCloudOverlay()
-  }, [syncCloudOverlay])
+    if (!playing || recalculating || playbackFrames.length === 0) return
+    const timer = setTimeout(() => setDate(playbackFrames[(playbackIndex + 1) % playbackFrames.length].date), PLAYBACK_FRAME_DELAY)
+    return () => clearTimeout(timer)
+  }, [playing, recalculating, playbackFrames, playbackIndex])
 
-  const details = coords ? calculate(coords[0], coords[1], elevation, date, { yallop: true }) : null
-  const moonImageURLs = getMoonImageURLs(date, hemisphere === 'south')
-  const moonIllumination = useMemo(() => {
-    const illum = Astronomy.Illumination(Astronomy.Body.Moon, Astronomy.MakeTime(date))
-    return Math.max(0, Math.min(100, illum.phase_fraction * 100))
-  }, [date])
-  const islamicDate = useMemo(() => getIslamicDateParts(date), [date])
-  const islamicNumeric = useMemo(() => getIslamicNumeric(date), [date])
-  const daysUntilRamadan = useMemo(() => getDaysUntilRamadan(date), [date])
-  const qiblaBearing = useMemo(() => {
-    if (!coords) return null
-    return getQiblaBearing(coords[0], coords[1])
-  }, [coords])
+  // Superseded comparisons are cancelled so they do not hold up the grid in
+  // the shared worker pool, e.g. while holding the date arrows or playing.
+  useEffect(() => {
+    const requestId = `calendar-${++calendarRequestRef.current}`
+    const controller = new AbortController()
+    setCalendarError(null)
+    compareCalendarPolicies(date, calendarPolicy, { coords, elevation, criterion }, { requestId, signal: controller.signal })
+      .then((rows) => setCalendar({ rows }))
+      .catch((error) => {
+        if (error.name === 'AbortError') return
+        console.error('Hijri calendar failed', error)
+        setCalendar(null)
+        setCalendarError('Calendar unavailable')
+      })
+    return () => controller.abort()
+  }, [date, calendarPolicy, coords, elevation, criterion])
+
+  // A forecast only stands for the place and settings it was made with.
+  useEffect(() => {
+    forecastRequestRef.current++
+    setForecast(null)
+    setForecastLoading(false)
+  }, [coords, elevation, criterion, calendarPolicy, date])
+
+  const handleForecast = async () => {
+    if (!coords) return
+    const requestId = ++forecastRequestRef.current
+    setForecastLoading(true)
+    try {
+      const result = await getCrescentForecast(date, { lat: coords[0], lng: coords[1], elevation, criterion, policy: calendarPolicy })
+      if (requestId === forecastRequestRef.current) setForecast(result)
+    } catch (error) {
+      console.error('Forecast failed', error)
+      showToast('Could not compute the forecast.', 'error')
+    } finally {
+      if (requestId === forecastRequestRef.current) setForecastLoading(false)
+    }
+  }
+
+  const exportForecast = () => {
+    if (!forecast) return
+    const { from, criterion: forecastCriterion } = forecast.settings
+    const name = `moonsighting-forecast-${from.toISOString().split('T')[0]}-${forecastCriterion}`
+    downloadBlob(new Blob([forecastToICS(forecast, locationName)], { type: 'text/calendar' }), `${name}.ics`)
+    showToast('Forecast exported as iCalendar.', 'success')
+  }
 
   const handleDateChange = (d) => {
-    const next = new Date(date); next.setDate(date.getDate() + d); setDate(next)
+    const next = new Date(date); next.setUTCDate(date.getUTCDate() + d); setDate(next)
+  }
+
+  const refreshCacheStats = async () => {
+    try {
+      setCacheStats(await getCacheStats())
+    } catch (error) {
+      console.error('Cache inspection failed', error)
+      showToast('Could not read the result cache.', 'error')
+    }
+  }
+
+  const handleClearCache = async () => {
+    try {
+      await clearCache()
+      displayedResults.current.clear()
+      await refreshCacheStats()
+      updateH3Grid()
+      showToast('Result cache cleared.', 'success')
+    } catch (error) {
+      console.error('Cache clear failed', error)
+      showToast('Could not clear the result cache.', 'error')
+    }
+  }
+
+  const handleSubmitSighting = async (form) => {
+    if (!coords) return
+    try {
+      const [lat, lng] = coords
+      // The same UTC day calculate() and the prediction use.
+      const observedDate = toIsoDateInput(date)
+      const prediction = predictSighting({ lat, lng, elevation, date, evening })
+      const sighting = createSighting({
+        observer: form.observer.trim(),
+        result: form.result,
+        instrument: form.instrument.trim(),
+        sky: form.sky,
+        notes: form.notes.trim(),
+        lat, lng, elevation, evening, observedDate,
+        observedAt: resolveObservedAt(observedDate, form.time, details?.sunsetSunrise?.getTime()),
+        predictedQcode: prediction.qcode,
+        predictedValue: prediction.value,
+      })
+      await addSighting(sighting)
+      setSightings(await getSightings())
+      setReportOpen(false)
+      showToast('Sighting report saved.', 'success')
+    } catch (error) {
+      console.error('Saving sighting failed', error)
+      showToast(`Could not save the report. ${error.message}`, 'error')
+    }
+  }
+
+  const handleDeleteSighting = async (id) => {
+    if (!window.confirm('Delete this sighting report?')) return
+    try {
+      await deleteSighting(id)
+      setSightings(await getSightings())
+    } catch (error) {
+      console.error('Deleting sighting failed', error)
+      showToast('Could not delete the report.', 'error')
+    }
+  }
+
+  const handleImportObservations = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { records, errors } = parseObservations(await file.text())
+      setObservationScore(null)
+      setObservationImport({ fileName: file.name, records, errors })
+      showToast(`Imported ${records.length} record(s)${errors.length ? `, ${errors.length} rejected` : ''}.`, errors.length ? 'warning' : 'success')
+    } catch (error) {
+      console.error('Observation import failed', error)
+      showToast(`Could not read ${file.name}. ${error.message}`, 'error')
+    }
+  }
+
+  const focusSighting = (sighting) => {
+    setEvening(sighting.evening)
+    setDate(new Date(`${sighting.observedDate}T00:00:00Z`))
+    setCoords([sighting.lat, sighting.lng])
+    mapRef.current?.flyTo({ center: [sighting.lng, sighting.lat], zoom: Math.max(mapRef.current.getZoom(), 5) })
+  }
+
+  const handleFindNextCrescent = async () => {
+    setNextCrescentLoading(true)
+    try {
+      const found = await findNextCrescent(date, criterion)
+      if (!found) throw new Error('No conjunction found')
+      setNextCrescent(found)
+      setEvening(true)
+      setDate(found.evenings[0].date)
+    } catch (error) {
+      console.error('Next crescent search failed', error)
+      showToast('Could not find the next crescent.', 'error')
+    } finally {
+      setNextCrescentLoading(false)
+    }
   }
 
   const exportMap = () => {
@@ -490,6 +1267,118 @@ export default function App() {
     }
   }
 
+  const exportAnimation = async (sequence, format) => {
+    const map = mapRef.current
+    if (!map || recording) return
+    if (format === 'webm' && !getWebMType()) {
+      showToast('This browser cannot record WebM video; try GIF.', 'warning')
+      return
+    }
+    const startDate = date
+    const startCenter = map.getCenter()
+    const frames = sequence === 'evenings'
+      ? playbackFrames.map((frame) => ({
+        date: frame.date,
+        caption: `${evening ? 'Evening' : 'Morning'} of ${frame.date.toISOString().slice(0, 10)} · ${frame.label}`,
+      }))
+      : SWEEP_LONGITUDES.map((lng) => ({
+        center: [lng, startCenter.lat],
+        caption: `${startDate.toISOString().slice(0, 10)} · centred on ${Math.abs(lng)}°${lng >= 0 ? 'E' : 'W'}`,
+      }))
+    const showFrame = async (frame) => {
+      // Fail the export rather than record a half-drawn frame.
+      let timer
+      const drawn = Promise.race([
+        waitForGrid(),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('The grid took too long to draw.')), FRAME_GRID_TIMEOUT) }),
+      ]).finally(() => clearTimeout(timer))
+      // A fresh Date, so the grid is redrawn even if the frame is the current day.
+      if (frame.date) setDate(new Date(frame.date))
+      else map.jumpTo({ center: frame.center })
+      await drawn
+      await new Promise((resolve) => { map.once('idle', resolve); map.triggerRepaint() })
+    }
+
+    setPlaying(false)
+    setRecording({ done: 0, total: frames.length })
+    try {
+      const blob = await recordAnimation({
+        source: map.getCanvas(),
+        frames, showFrame, format,
+        title: `${getCriterion(criterion).label} · Hilal-liqo`,
+        onProgress: (done, total) => setRecording({ done, total }),
+      })
+      downloadBlob(blob, `moonsighting-${sequence}-${startDate.toISOString().split('T')[0]}-${criterion}.${format}`)
+      showToast(`Animation exported as ${format.toUpperCase()}.`, 'success')
+    } catch (error) {
+      console.error('Animation export failed', error)
+      showToast(`Animation export failed. ${error.message}`, 'error')
+    } finally {
+      setRecording(null)
+      setDate(startDate)
+      map.jumpTo({ center: startCenter })
+    }
+  }
+
+  const copyLink = async () => {
+    syncUrl()
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      showToast('Link to this view copied.', 'success')
+    } catch (error) {
+      console.error('Copy link failed', error)
+      showToast('Could not copy the link; copy it from the address bar.', 'error')
+    }
+  }
+
+  const exportGridData = (format) => {
+    const results = Array.from(displayedResults.current.values())
+    if (!mapRef.current || results.length === 0) {
+      showToast('Nothing to export yet: the grid is empty.', 'warning')
+      return
+    }
+    const settings = { date, elevation, criterion, evening }
+    const name = `moonsighting-${date.toISOString().split('T')[0]}-${criterion}-${evening ? 'evening' : 'morning'}`
+    try {
+      if (format === 'geojson') {
+        downloadBlob(new Blob([JSON.stringify(gridToGeoJSON(results, settings))], { type: 'application/geo+json' }), `${name}.geojson`)
+      } else if (format === 'csv') {
+        downloadBlob(new Blob([gridToCSV(results, settings)], { type: 'text/csv' }), `${name}.csv`)
+      } else {
+        const raster = gridToRaster(results, mapRef.current.getBounds(), currentResolution.current)
+        downloadBlob(new Blob([rasterToGeoTIFF(raster)], { type: 'image/tiff' }), `${name}-value.tif`)
+        if (raster.coarsened) {
+          showToast(`Grid exported as GeoTIFF at ${raster.step}° per pixel to keep the file manageable; zoom in for finer pixels.`, 'warning')
+          return
+        }
+      }
+      showToast(`Grid exported as ${format === 'tiff' ? 'GeoTIFF' : format.toUpperCase()}.`, 'success')
+    } catch (error) {
+      console.error('Grid export failed', error)
+      showToast('Grid export failed.', 'error')
+    }
+  }
+
+  const exportBulletin = async (format) => {
+    if (!mapRef.current) return
+    try {
+      const page = buildBulletin({
+        canvas: mapRef.current.getCanvas(),
+        date, elevation, criterion, evening,
+        hijriDate: selectedCalendar?.hijri ? `${formatHijri(selectedCalendar.hijri)} AH (${selectedCalendar.label})` : 'Hijri date unavailable',
+        place: coords ? { name: locationName, lat: coords[0], lng: coords[1] } : null,
+        cities: await loadBulletinCities(),
+      })
+      const name = `moonsighting-bulletin-${date.toISOString().split('T')[0]}-${criterion}`
+      if (format === 'pdf') downloadBlob(bulletinToPDF(page), `${name}.pdf`)
+      else downloadBlob(new Blob([bulletinToSVG(page)], { type: 'image/svg+xml' }), `${name}.svg`)
+      showToast(`Bulletin exported as ${format.toUpperCase()}.`, 'success')
+    } catch (error) {
+      console.error('Bulletin export failed', error)
+      showToast('Bulletin export failed.', 'error')
+    }
+  }
+
   return (
     <div className="flex min-h-screen w-screen flex-col bg-slate-950 text-slate-100 font-sans lg:h-screen lg:overflow-hidden">
       <header className="z-10 border-b border-slate-700/60 bg-slate-900/95 px-3 py-3 backdrop-blur sm:px-4 lg:px-6">
@@ -507,11 +1396,28 @@ export default function App() {
           <div className="flex w-full flex-wrap items-center gap-2 sm:gap-3 lg:w-auto lg:justify-end lg:gap-6">
             <div className="flex min-w-0 flex-1 items-center gap-1 rounded-xl border border-slate-700/70 bg-slate-950 p-1 sm:flex-none sm:gap-2">
               <button onClick={() => handleDateChange(-1)} className="rounded-lg px-2 py-1 hover:bg-slate-700 transition sm:px-3">←</button>
-              <input type="date" value={toIsoDateInput(date)} onChange={(e) => setDate(new Date(e.target.value))}
+              <input type="date" value={toIsoDateInput(date)} onChange={(e) => { if (e.target.value) setDate(new Date(e.target.value)) }}
                 className="w-full min-w-0 cursor-pointer bg-transparent border-none px-1 text-xs focus:ring-0 sm:px-2 sm:text-sm" />
               <button onClick={() => handleDateChange(1)} className="rounded-lg px-2 py-1 hover:bg-slate-700 transition sm:px-3">→</button>
             </div>
 
+            {!online && (
+              <span className="rounded-full border border-amber-500/60 bg-amber-500/10 px-3 py-1 text-xs font-medium text-amber-200"
+                title="Showing cached results and basemap; location names, elevation and weather need a connection">
+                Offline
+              </span>
+            )}
+
+            <button onClick={handleFindNextCrescent} disabled={nextCrescentLoading}
+              className="rounded-xl border border-cyan-500/60 bg-slate-950 px-3 py-2 text-xs font-medium text-cyan-200 transition hover:bg-slate-800 disabled:opacity-60 sm:text-sm">
+              {nextCrescentLoading ? 'Searching...' : '🌒 Next Hilal'}
+            </button>
+
+            <button onClick={copyLink} title="Copy a link to this date, location, map view and settings"
+              className="rounded-xl border border-slate-700/70 bg-slate-950 px-3 py-2 text-xs font-medium text-slate-200 transition hover:bg-slate-800 sm:text-sm">
+              🔗 Copy link
+            </button>
+
             <div className="flex items-center gap-2 text-xs sm:text-sm">
               <span className="text-[10px] font-bold uppercase text-slate-400 sm:text-xs">Elev:</span>
               <input type="number" value={elevation} onChange={(e) => setElevation(parseFloat(e.target.value) || 0)}
@@ -520,6 +1426,29 @@ export default function App() {
               {elevationLoading && <span className="text-[11px] text-cyan-300">auto...</span>}
             </div>
 
+            <div className="flex items-center gap-1 rounded-xl border border-slate-700/70 bg-slate-950 p-1 text-xs sm:text-sm">
+              {[true, false].map((value) => (
+                <button
+                  key={String(value)}
+                  onClick={() => setEvening(value)}
+                  title={value ? 'Waxing crescent after sunset' : 'Waning crescent before sunrise'}
+                  className={`rounded-lg px-2 py-1 transition sm:px-3 ${evening === value ? 'bg-cyan-600 text-white' : 'text-slate-300 hover:bg-slate-700'}`}
+                >
+                  {value ? 'Evening' : 'Morning'}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex items-center gap-2 text-xs sm:text-sm">
+              <span className="text-[10px] font-bold uppercase text-slate-400 sm:text-xs">Criterion:</span>
+              <select value={criterion} onChange={(e) => setCriterion(e.target.value)}
+                className="rounded-lg border border-slate-700 bg-slate-950 px-2 py-1">
+                {CRITERIA_LIST.map((c) => (
+                  <option key={c.id} value={c.id}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+
             <button onClick={locateUser} className="flex items-center gap-2 rounded-xl bg-cyan-600 px-3 py-2 text-xs font-medium text-white shadow-lg transition hover:bg-cyan-500 sm:px-4 sm:text-sm">
               <span>📍</span> Locate Me
             </button>
@@ -539,7 +1468,10 @@ export default function App() {
                     </div>
                     <div className="min-w-0">
                       <p className="text-xs text-slate-400 font-bold uppercase tracking-wider mb-1">Visibility Status</p>
-                      <p className="text-sm font-semibold text-slate-100 leading-snug break-words">{YALLOP_CRITERIA[details.qcode]}</p>
+                      <p className="text-sm font-semibold text-slate-100 leading-snug break-words">{getCodeInfo(details.qcode, criterion, evening)?.description}</p>
+                      {Number.isFinite(details.value) && (
+                        <p className="mt-1 text-xs text-slate-400">{getCriterion(criterion).valueLabel} = <span className="font-mono text-slate-200">{details.value.toFixed(3)}</span></p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -551,10 +1483,20 @@ export default function App() {
             )}
           </section>
 
+          {pinnedCell && (
+            <section className="p-5 border-b border-slate-700/60 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Cell Inspector</h3>
+                <button onClick={() => setPinnedCell(null)} className="text-xs text-slate-500 hover:text-slate-300">✕</button>
+              </div>
+              <CellInspector id={pinnedCell} result={displayedResults.current.get(pinnedCell)} criterion={criterion} evening={evening} />
+            </section>
+          )}
+
           <section className="p-5 border-b border-slate-700/60 space-y-3">
-            <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Legend</h3>
+            <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Legend ({criterionLabel})</h3>
             <div className="space-y-2">
-              {VISIBILITY_COLORS.filter(c => c.code !== 'J' && c.code !== 'F').map((item) => (
+              {legend.map((item) => (
                 <div key={item.code} className="flex items-center gap-3 text-sm">
                   <span className="w-4 h-4 rounded-sm border border-black/20" style={{ background: item.color }}></span>
                   <span className="font-bold w-5 text-slate-400">{item.code}</span>
@@ -562,26 +1504,72 @@ export default function App() {
                 </div>
               ))}
             </div>
+            {colorMode === 'ramp' && (
+              <div className="space-y-1">
+                <div className="h-2 rounded-full border border-slate-700" style={{ background: `linear-gradient(to right, ${valueRamp.map(([value, color]) => `${color} ${(((value - valueRamp[0][0]) / (valueRamp[valueRamp.length - 1][0] - valueRamp[0][0])) * 100).toFixed(1)}%`).join(', ')})` }} />
+                <div className="flex justify-between text-[10px] text-slate-500">
+                  <span>{getCriterion(criterion).valueLabel} {valueRamp[0][0].toFixed(2)}</span>
+                  <span>{valueRamp[valueRamp.length - 1][0].toFixed(2)}</span>
+                </div>
+              </div>
+            )}
+            <p className="text-xs text-slate-500">{getCriterion(criterion).reference}</p>
           </section>
 
+          {nextCrescent && (
+            <section className="p-5 border-b border-slate-700/60 space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Next Crescent</h3>
+                <button onClick={() => setNextCrescent(null)} className="text-xs text-slate-500 hover:text-slate-300">✕</button>
+              </div>
+              <p className="text-xs text-slate-400">
+                Conjunction: <span className="text-slate-200">{formatUtcDay(nextCrescent.conjunction)}, {formatUtcTime(nextCrescent.conjunction.getTime())}</span>
+                {' · '}{getCriterion(nextCrescent.criterion).label}
+              </p>
+              <div className="space-y-2">
+                {nextCrescent.evenings.map((item) => (
+                  <button
+                    key={item.label}
+                    onClick={() => { setEvening(true); setDate(item.date) }}
+                    className={`w-full rounded-xl border p-3 text-left transition ${date.getTime() === item.date.getTime() && evening ? 'border-cyan-500 bg-cyan-500/10' : 'border-slate-800 bg-slate-950/70 hover:border-slate-600'}`}
+                  >
+                    <p className="text-sm font-semibold text-slate-100">
+                      {item.label} <span className="font-normal text-slate-400">· {item.day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })}</span>
+                    </p>
+                    <div className="mt-1 space-y-0.5 text-xs">
+                      {item.summary.map((row) => (
+                        <p key={row.code} className="text-slate-400">
+                          <span className="font-bold text-slate-300">{row.code}</span>{' '}
+                          {row.first
+                            ? `first at ${formatLatLng(row.first.lat, row.first.lng)} · lat ${row.latRange[0]}° to ${row.latRange[1]}°`
+                            : 'not reached'}
+                        </p>
+                      ))}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </section>
+          )}
+
           <section className="p-5 border-b border-slate-700/60 space-y-4">
-            <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Astronomical Data</h3>
+            <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Astronomical Data ({evening ? 'Evening' : 'Morning'})</h3>
             <div className="grid grid-cols-2 gap-3 text-sm">
               <div className="bg-slate-950/70 p-3 rounded-xl border border-slate-800">
                 <p className="text-slate-400 mb-1 text-xs">Lag Time</p>
-                <p className="font-mono text-slate-100">{details ? formatDuration(details.lagTime) : '--:--:--'}</p>
+                <p className="font-mono text-slate-100">{details?.lagTime != null ? formatDuration(details.lagTime * 24) : '--:--:--'}</p>
               </div>
               <div className="bg-slate-950/70 p-3 rounded-xl border border-slate-800">
                 <p className="text-slate-400 mb-1 text-xs">Elongation</p>
                 <p className="text-slate-100">{details ? `${details.arcl?.toFixed(2)}°` : '--°'}</p>
               </div>
               <div className="bg-slate-950/70 p-3 rounded-xl border border-slate-800">
-                <p className="text-slate-400 mb-1 text-xs">Sunset</p>
-                <p className="text-slate-100">{details ? formatDate(details.sunsetSunrise).split(',')[1] : '--'}</p>
+                <p className="text-slate-400 mb-1 text-xs">{evening ? 'Sunset' : 'Sunrise'}</p>
+                <p className="text-slate-100">{details?.sunsetSunrise ? formatDate(details.sunsetSunrise).split(',')[1] : '--'}</p>
               </div>
               <div className="bg-slate-950/70 p-3 rounded-xl border border-slate-800">
-                <p className="text-slate-400 mb-1 text-xs">Moonset</p>
-                <p className="text-slate-100">{details ? formatDate(details.moonsetMoonrise).split(',')[1] : '--'}</p>
+                <p className="text-slate-400 mb-1 text-xs">{evening ? 'Moonset' : 'Moonrise'}</p>
+                <p className="text-slate-100">{details?.moonsetMoonrise ? formatDate(details.moonsetMoonrise).split(',')[1] : '--'}</p>
               </div>
             </div>
             <div className="grid grid-cols-1 gap-2 text-sm">
@@ -596,19 +1584,273 @@ export default function App() {
             </div>
           </section>
 
+          {skyTrack.length > 0 && (
+            <section className="p-5 border-b border-slate-700/60 space-y-3">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Sky Chart</h3>
+              <SkyChart track={skyTrack} bestTime={details.bestTime?.date.getTime() ?? skyTrack[0].time} evening={evening} />
+            </section>
+          )}
+
+          {altitudeTrack && (
+            <section className="p-5 border-b border-slate-700/60 space-y-3">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Sun & Moon Altitude</h3>
+              <AltitudeTrack track={altitudeTrack} evening={evening} />
+            </section>
+          )}
+
           <section className="p-5 border-b border-slate-700/60 space-y-4">
             <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Islamic Calendar</h3>
+            <label className="flex items-center justify-between gap-2 text-xs text-slate-400">
+              Calendar policy
+              <select value={calendarPolicy} onChange={(e) => setCalendarPolicy(e.target.value)}
+                className="rounded-lg border border-slate-700 bg-slate-950 px-2 py-1 text-slate-200">
+                {CALENDAR_POLICIES.map((policy) => (
+                  <option key={policy.id} value={policy.id}>{policy.label}</option>
+                ))}
+              </select>
+            </label>
             <div className="bg-slate-950/70 p-4 rounded-xl border border-slate-800 space-y-2">
-              <p className="text-sm font-semibold text-slate-100">🗓️ {islamicDate.weekday}</p>
-              <p className="text-lg font-semibold text-cyan-300">{islamicDate.day} {islamicDate.monthName} {islamicDate.year} AH</p>
-              <p className="text-xs text-slate-400">
-                {islamicNumeric.month === 9
-                  ? `Ramadan day ${islamicNumeric.day}`
-                  : daysUntilRamadan == null
-                    ? 'Ramadan estimate unavailable'
-                    : `${daysUntilRamadan} day(s) until 1 Ramadan`}
-              </p>
+              <p className="text-sm font-semibold text-slate-100">🗓️ {date.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })}</p>
+              {calendarError ? (
+                <p className="text-sm text-amber-300">{calendarError}</p>
+              ) : (
+                <p className="text-lg font-semibold text-cyan-300">
+                  {selectedCalendar?.hijri ? `${formatHijri(selectedCalendar.hijri)} AH` : calendarPolicy === 'local' && !coords ? 'Select a location' : 'Calculating...'}
+                </p>
+              )}
+              {selectedCalendar?.hijri && (
+                <p className="text-xs text-slate-400">
+                  {selectedCalendar.hijri.month === 9
+                    ? `Ramadan day ${selectedCalendar.hijri.day} of ${selectedCalendar.hijri.monthLength}`
+                    : `${selectedCalendar.ramadan.days} day(s) until 1 Ramadan (${formatUtcDay(selectedCalendar.ramadan.start)})`}
+                </p>
+              )}
+              <p className="text-[11px] text-slate-500">By {getCalendarPolicy(calendarPolicy).label}: {getCalendarPolicy(calendarPolicy).description}.</p>
+            </div>
+            {calendar && (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="pb-1 font-medium">Policy</th>
+                    <th className="pb-1 font-medium">Today</th>
+                    <th className="pb-1 font-medium">1 Ramadan</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {calendar.rows.map((row) => (
+                    <tr key={row.id} title={row.description}
+                      className={row.id === calendarPolicy ? 'text-cyan-300' : row.agrees ? 'text-slate-300' : 'text-amber-300'}>
+                      <td className="py-0.5 pr-2">{row.label}</td>
+                      <td className="py-0.5 pr-2">{row.hijri ? `${row.hijri.day} ${row.hijri.monthName}` : '--'}</td>
+                      <td className="py-0.5">{row.ramadan ? formatUtcDay(row.ramadan.start) : '--'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {calendar?.rows.some((row) => !row.agrees) && (
+              <p className="text-[11px] text-amber-300">Policies in amber give a different date today.</p>
+            )}
+          </section>
+
+          <section className="p-5 border-b border-slate-700/60 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">12-Month Forecast</h3>
+              {forecast && (
+                <button onClick={exportForecast} className="text-xs text-cyan-300 hover:text-cyan-200">Download .ics</button>
+              )}
+            </div>
+            {!coords ? (
+              <p className="text-xs text-slate-500">Select a location to forecast the next twelve months there.</p>
+            ) : !forecast ? (
+              <button onClick={handleForecast} disabled={forecastLoading}
+                className="w-full rounded-xl border border-cyan-500/60 bg-slate-950 px-3 py-2 text-xs font-medium text-cyan-200 transition hover:bg-slate-800 disabled:opacity-60">
+                {forecastLoading ? 'Forecasting...' : `Forecast from ${formatUtcDay(date)}`}
+              </button>
+            ) : (
+              <>
+                <p className="text-[11px] text-slate-500">
+                  From {formatUtcDay(forecast.settings.from)}: {getCriterion(forecast.settings.criterion).label} codes and moon age at sunset; first day by {forecast.settings.policyLabel}.
+                </p>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th className="pb-1 font-medium">Month</th>
+                      <th className="pb-1 font-medium">Conjunction</th>
+                      <th className="pb-1 font-medium">29th</th>
+                      <th className="pb-1 font-medium">30th</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {forecast.rows.map((row) => (
+                      <tr key={row.conjunction.getTime()} className="align-top text-slate-300">
+                        <td className="py-1 pr-2">
+                          <p className="text-slate-100">{row.month ? `${row.month.monthName} ${row.month.year}` : '--'}</p>
+                          <p className="text-[11px] text-cyan-300">{row.firstDay ? formatUtcDay(row.firstDay) : '--'}</p>
+                        </td>
+                        <td className="py-1 pr-2 text-[11px]">
+                          {row.conjunction.toISOString().slice(5, 16).replace('T', ' ')}
+                        </td>
+                        {row.evenings.map((evening) => (
+                          <td key={evening.label} className="py-1 pr-1" title={evening.codeLabel}>
+                            <span className={`font-bold ${evening.visible ? 'text-emerald-300' : 'text-slate-400'}`}>{evening.qcode}</span>
+                            <span className="block text-[11px] text-slate-500">{formatNumber(evening.ageHours, 1, ' h')}</span>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-[11px] text-slate-500">Conjunction times are UTC. The .ics file has the month starts and a reminder before sunset on each sighting evening.</p>
+              </>
+            )}
+          </section>
+
+          <section className="p-5 border-b border-slate-700/60 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Sighting Reports</h3>
+              {!reportOpen && (
+                <button onClick={() => setReportOpen(true)} disabled={!coords || !dbReady}
+                  title={coords ? 'Report what was seen at the selected location and date' : 'Select a location on the map first'}
+                  className="rounded-md border border-cyan-700/70 bg-slate-950/60 px-2 py-1 text-[11px] text-cyan-300 transition hover:border-cyan-500 disabled:opacity-50">
+                  Report sighting
+                </button>
+              )}
+            </div>
+            {reportOpen && coords && (
+              <>
+                <p className="text-[11px] text-slate-400">
+                  {formatLatLng(coords[0], coords[1])} · {toIsoDateInput(date)} {evening ? 'evening' : 'morning'} · {elevation} m
+                </p>
+                <SightingForm defaultTime={toUtcTimeInput(details?.bestTime?.date)} onSubmit={handleSubmitSighting} onCancel={() => setReportOpen(false)} />
+              </>
+            )}
+            {sightings.length === 0 ? (
+              <p className="text-xs text-slate-500">No reports yet.</p>
+            ) : (
+              <div className="max-h-56 space-y-1 overflow-y-auto text-xs">
+                {sightings.map((sighting) => {
+                  const result = getSightingResult(sighting.result)
+                  return (
+                    <div key={sighting.id} className="flex items-start gap-2 rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1.5">
+                      <span className="mt-1 h-2.5 w-2.5 shrink-0 rounded-full" style={{ background: result?.color }} />
+                      <button onClick={() => focusSighting(sighting)} className="min-w-0 flex-1 text-left">
+                        <p className="truncate text-slate-200">{sighting.observer} · {result?.label ?? sighting.result}</p>
+                        <p className="truncate text-[11px] text-slate-500">
+                          {sighting.observedDate} {formatUtcTime(sighting.observedAt)} · {formatLatLng(sighting.lat, sighting.lng)}
+                          {sighting.instrument ? ` · ${sighting.instrument}` : ''}{sighting.sky ? ` · ${sighting.sky}` : ''}
+                        </p>
+                      </button>
+                      <span className="shrink-0 font-mono text-[11px] text-slate-400" title="Yallop prediction at report time">{sighting.predictedQcode ?? '?'}</span>
+                      <button onClick={() => handleDeleteSighting(sighting.id)} className="shrink-0 text-slate-600 hover:text-rose-400" title="Delete report">✕</button>
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </section>
+
+          <section className="p-5 border-b border-slate-700/60 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Observation Import</h3>
+              <div className="flex gap-2">
+                <label className="cursor-pointer rounded-md border border-slate-700 bg-slate-950/60 px-2 py-1 text-[11px] text-slate-300 transition hover:border-slate-500">
+                  {observationImport ? 'Replace' : 'Import CSV/GeoJSON'}
+                  <input type="file" accept=".csv,.geojson,.json,text/csv,application/geo+json" onChange={handleImportObservations} className="hidden" />
+                </label>
+                {observationImport && (
+                  <button onClick={() => setObservationImport(null)} className="text-xs text-slate-500 hover:text-slate-300">✕</button>
+                )}
+              </div>
+            </div>
+            {!observationImport ? (
+              <p className="text-xs text-slate-500">Columns: lat, lng, date (YYYY-MM-DD), result (seen / naked eye / optical aid / not seen), optional elevation, mode, observer.</p>
+            ) : (
+              <div className="space-y-3 text-xs">
+                <p className="text-slate-400">
+                  {observationImport.fileName}: {observationImport.records.length} record(s), {observationImport.errors.length} rejected
+                </p>
+                {observationImport.errors.length > 0 && (
+                  <ul className="max-h-24 space-y-0.5 overflow-y-auto rounded-lg border border-amber-700/40 bg-amber-950/20 p-2 text-[11px] text-amber-200">
+                    {observationImport.errors.map((error) => <li key={error.row}>Row {error.row}: {error.message}</li>)}
+                  </ul>
+                )}
+                {observationImport.records.length > 0 && !observationScore && <p className="text-slate-500">Scoring against {criterionLabel}...</p>}
+                {observationScore && (
+                  <>
+                    <div className="flex items-center justify-between">
+                      <span className="text-slate-400">Hit rate ({criterionLabel})</span>
+                      <span className="text-lg font-semibold text-cyan-300">{(observationScore.hitRate * 100).toFixed(1)}%</span>
+                    </div>
+                    <table className="w-full text-center text-[11px]">
+                      <thead>
+                        <tr className="text-slate-500"><th /><th className="font-normal">Seen</th><th className="font-normal">Not seen</th></tr>
+                      </thead>
+                      <tbody className="text-slate-200">
+                        <tr><th className="text-left font-normal text-slate-500">Predicted visible</th><td>{observationScore.matrix.tp}</td><td className="text-rose-300">{observationScore.matrix.fp}</td></tr>
+                        <tr><th className="text-left font-normal text-slate-500">Predicted not visible</th><td className="text-rose-300">{observationScore.matrix.fn}</td><td>{observationScore.matrix.tn}</td></tr>
+                      </tbody>
+                    </table>
+                    <table className="w-full text-[11px]">
+                      <thead>
+                        <tr className="text-slate-500">
+                          <th className="text-left font-normal">Code</th>
+                          {SIGHTING_RESULTS.map((result) => <th key={result.id} className="font-normal" title={result.label}>{result.label.replace(/^Seen (by|with) /, '')}</th>)}
+                          <th className="text-right font-normal">Hit</th>
+                        </tr>
+                      </thead>
+                      <tbody className="text-slate-200">
+                        {observationScore.byCode.map((entry) => (
+                          <tr key={entry.code} title={entry.label}>
+                            <td className="font-bold">{entry.code}{entry.predictedVisible ? '' : ' ·'}</td>
+                            {SIGHTING_RESULTS.map((result) => <td key={result.id} className="text-center">{entry[result.id]}</td>)}
+                            <td className="text-right">{(entry.hitRate * 100).toFixed(0)}%</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-[11px] text-slate-500">Codes marked · are predicted not visible. A hit is a sighting (naked eye or optical aid) where a visible code was predicted, or no sighting where it was not.</p>
+                  </>
+                )}
+              </div>
+            )}
+          </section>
+
+          <section className="p-5 border-b border-slate-700/60 space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider">Result Cache</h3>
+              <div className="flex gap-2">
+                <button onClick={refreshCacheStats} disabled={!dbReady}
+                  className="rounded-md border border-slate-700 bg-slate-950/60 px-2 py-1 text-[11px] text-slate-300 transition hover:border-slate-500 disabled:opacity-50">
+                  {cacheStats ? 'Refresh' : 'Inspect'}
+                </button>
+                <button onClick={handleClearCache} disabled={!dbReady}
+                  className="rounded-md border border-rose-700/70 bg-slate-950/60 px-2 py-1 text-[11px] text-rose-300 transition hover:border-rose-500 disabled:opacity-50">
+                  Clear
+                </button>
+              </div>
             </div>
+            {cacheStats && (
+              <div className="space-y-2 text-xs">
+                <p className="text-slate-400">
+                  {cacheStats.rows.toLocaleString()} / {cacheStats.maxRows.toLocaleString()} cells cached
+                </p>
+                <p className="text-slate-500">{CACHE_STORAGE_LABELS[cacheStats.storage]}</p>
+                <div className="max-h-48 space-y-1 overflow-y-auto">
+                  {cacheStats.groups.map((group) => (
+                    <div key={`${group.day}-${group.criterion}-${group.evening}-${group.elevation}-${group.version}`}
+                      className="flex items-center justify-between gap-2 rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1">
+                      <span className="truncate text-slate-300">
+                        {group.day} · {getCriterion(group.criterion).label} · {group.evening ? 'Evening' : 'Morning'} · {group.elevation} m
+                      </span>
+                      <span className={group.stale ? 'text-amber-400' : 'text-slate-400'} title={group.stale ? 'Computed by an older calculation version' : undefined}>
+                        {group.rows}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </section>
 
           <div className="flex-1" />
@@ -636,6 +1878,20 @@ export default function App() {
             >
               {mapMode === '3d' ? '3D' : '2D'}
             </button>
+            <button
+              onClick={() => setShowHexes((prev) => !prev)}
+              className={`rounded-full px-3 py-1.5 text-[11px] transition sm:text-xs ${showHexes ? 'bg-cyan-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}
+              title="Toggle coloured H3 visibility cells"
+            >
+              Hexes
+            </button>
+            <button
+              onClick={() => setShowContours((prev) => !prev)}
+              className={`rounded-full px-3 py-1.5 text-[11px] transition sm:text-xs ${showContours ? 'bg-cyan-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}
+              title="Toggle visibility-curve boundary lines between zones"
+            >
+              Contours
+            </button>
             <button
               onClick={() => setShowCloudOverlay((prev) => !prev)}
               className={`rounded-full px-3 py-1.5 text-[11px] transition sm:text-xs ${showCloudOverlay ? 'bg-emerald-600 text-white' : 'bg-slate-800 text-slate-300 hover:bg-slate-700'}`}
@@ -649,7 +1905,7 @@ export default function App() {
           <div className="absolute left-2 right-2 top-16 z-20 rounded-xl border border-slate-700/70 bg-slate-900/80 px-2 py-2 backdrop-blur sm:top-[4.8rem] lg:left-auto lg:right-4 lg:top-4 lg:px-3">
             <div className="flex flex-wrap items-center gap-2">
               <span className="text-[10px] uppercase tracking-wider text-slate-400 sm:text-[11px]">Grid</span>
-              {[null, 1, 2, 3, 4].map((r) => (
+              {[null, ...GRID_RESOLUTIONS].map((r) => (
                 <button
                   key={r}
                   onClick={() => setManualRes(r)}
@@ -658,24 +1914,99 @@ export default function App() {
                   {r === null ? 'Auto' : `R${r}`}
                 </button>
               ))}
+              <div className="mx-1 h-4 w-px bg-slate-700" />
+              {['codes', 'ramp'].map((mode) => (
+                <button
+                  key={mode}
+                  onClick={() => setColorMode(mode)}
+                  title={mode === 'ramp' ? 'Continuous colour ramp driven by the criterion value' : 'One colour per criterion code'}
+                  className={`rounded-md border px-2 py-1 text-[10px] transition sm:text-[11px] ${colorMode === mode ? 'bg-cyan-600 border-cyan-500 text-white' : 'bg-slate-950/60 border-slate-700 text-slate-300 hover:border-slate-500'}`}
+                >
+                  {mode === 'ramp' ? 'Ramp' : 'Codes'}
+                </button>
+              ))}
               <button
                 onClick={exportMap}
                 className="rounded-md border border-slate-600 bg-slate-800 px-2.5 py-1 text-[10px] text-slate-100 transition hover:bg-slate-700 sm:text-[11px]"
               >
                 Export PNG
               </button>
+              {[['geojson', 'GeoJSON', 'H3 polygons with code, value and parameters'], ['csv', 'CSV', 'Cell centroids with code, value and parameters'], ['tiff', 'GeoTIFF', 'Criterion value on a lat/lng grid (EPSG:4326)']].map(([format, label, title]) => (
+                <button
+                  key={format}
+                  onClick={() => exportGridData(format)}
+                  title={title}
+                  className="rounded-md border border-slate-600 bg-slate-800 px-2.5 py-1 text-[10px] text-slate-100 transition hover:bg-slate-700 sm:text-[11px]"
+                >
+                  {label}
+                </button>
+              ))}
+              {['pdf', 'svg'].map((format) => (
+                <button
+                  key={format}
+                  onClick={() => exportBulletin(format)}
+                  title="A4 bulletin with map, legend, dates and city codes"
+                  className="rounded-md border border-slate-600 bg-slate-800 px-2.5 py-1 text-[10px] text-slate-100 transition hover:bg-slate-700 sm:text-[11px]"
+                >
+                  Bulletin {format.toUpperCase()}
+                </button>
+              ))}
+              <div className="mx-1 h-4 w-px bg-slate-700" />
+              {[['evenings', 'gif', 'GIF days'], ['evenings', 'webm', 'WebM days'], ['longitudes', 'gif', 'GIF sweep'], ['longitudes', 'webm', 'WebM sweep']].map(([sequence, format, label]) => (
+                <button
+                  key={`${sequence}-${format}`}
+                  onClick={() => exportAnimation(sequence, format)}
+                  disabled={Boolean(recording)}
+                  title={sequence === 'evenings' ? 'Animate the playback days around the conjunction' : 'Pan the map from east to west on the current date'}
+                  className="rounded-md border border-slate-600 bg-slate-800 px-2.5 py-1 text-[10px] text-slate-100 transition hover:bg-slate-700 disabled:opacity-50 sm:text-[11px]"
+                >
+                  {label}
+                </button>
+              ))}
+              {recording && <span className="text-[10px] text-cyan-300 sm:text-[11px]">Recording {recording.done}/{recording.total}…</span>}
             </div>
           </div>
 
+          {hoveredCellId && (
+            <div ref={hoverTooltipRef} className="pointer-events-none absolute z-20 w-64 rounded-xl border border-slate-700 bg-slate-900/95 p-3 shadow-2xl backdrop-blur"
+              style={{ left: hoverPointRef.current.x + 14, top: hoverPointRef.current.y + 14 }}>
+              <CellInspector id={hoveredCellId} result={displayedResults.current.get(hoveredCellId)} criterion={criterion} evening={evening} />
+            </div>
+          )}
+
           {(recalculating || !dbReady) && (
             <div className="absolute left-1/2 top-28 z-20 flex -translate-x-1/2 items-center gap-3 rounded-full border border-slate-700 bg-slate-900/90 px-4 py-2 shadow-2xl backdrop-blur-md sm:px-6 sm:py-3 lg:top-20">
               <div className="w-4 h-4 border-2 border-cyan-500 border-t-transparent rounded-full animate-spin" />
               <span className="text-[10px] font-medium tracking-wide text-cyan-300 uppercase sm:text-xs">
-                {!dbReady ? 'System Initialization...' : 'Analyzing Visibility...'}
+                {!dbReady
+                  ? 'System Initialization...'
+                  : `Analyzing Visibility...${gridProgress ? ` ${Math.round((gridProgress.completed / gridProgress.total) * 100)}%` : ''}`}
               </span>
             </div>
           )}
 
+          {playbackFrames.length > 0 && (
+            <div className="absolute bottom-2 left-2 right-2 z-20 flex items-center gap-2 rounded-xl border border-slate-700 bg-slate-900/90 px-3 py-2 text-xs shadow-xl backdrop-blur sm:bottom-4 sm:left-auto sm:right-4 sm:w-80 lg:bottom-6 lg:right-6">
+              <button
+                onClick={() => setPlaying((prev) => !prev)}
+                title={`Step through the ${evening ? 'evenings' : 'mornings'} around the conjunction`}
+                className={`rounded-md border px-2.5 py-1 transition ${playing ? 'bg-cyan-600 border-cyan-500 text-white' : 'border-slate-600 bg-slate-800 text-slate-100 hover:bg-slate-700'}`}
+              >
+                {playing ? 'Pause' : 'Play'}
+              </button>
+              <div className="min-w-0 flex-1">
+                <input type="range" min={0} max={playbackFrames.length - 1} value={Math.max(0, playbackIndex)}
+                  onChange={(e) => { setPlaying(false); setDate(playbackFrames[Number(e.target.value)].date) }}
+                  className="w-full accent-cyan-500" />
+                <p className="truncate text-[11px] text-slate-400">
+                  {playbackIndex >= 0
+                    ? `${playbackFrames[playbackIndex].label} · ${playbackFrames[playbackIndex].date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' })}`
+                    : 'Outside the crescent window'}
+                </p>
+              </div>
+            </div>
+          )}
+
           <div className="pointer-events-none absolute bottom-4 left-2 right-2 hidden max-w-sm rounded-xl border border-slate-700 bg-slate-900/80 p-3 text-xs text-slate-300 backdrop-blur sm:left-4 sm:right-auto sm:block lg:bottom-6 lg:left-6">
             <p className="font-medium text-slate-100 mb-1">Interactive hints</p>
             <p>Pan/zoom to recalculate visibility. H3 Resolution: {currentResolution.current}. 3D mode uses camera pitch for terrain-like perspective.</p>
@@ -701,20 +2032,36 @@ export default function App() {
           <section className="space-y-6 p-5 sm:p-6">
             <div className="space-y-3">
               <h3 className="text-xs font-bold uppercase text-slate-400 tracking-wider text-center">Moon Visual</h3>
-              {moonError ? (
-                <div className="aspect-square bg-slate-950 rounded-xl flex items-center justify-center text-xs text-red-400 p-4 text-center">
-                  {moonError}
-                </div>
-              ) : (
-                <div className="relative group">
-                  <div className="absolute -inset-1 bg-gradient-to-r from-cyan-600 to-violet-600 rounded-xl blur opacity-25 group-hover:opacity-45 transition duration-1000"></div>
-                  <img src={moonImageURLs.jpg} alt="Moon Phase" className="relative aspect-square w-full rounded-xl shadow-2xl border border-slate-700" />
+              {moonImageURLs && (
+                <div className="flex justify-center gap-1 text-xs">
+                  {[['rendered', 'Rendered'], ['nasa', 'NASA SVS']].map(([id, label]) => (
+                    <button key={id} onClick={() => setMoonSource(id)}
+                      className={`rounded-lg border px-2 py-1 ${moonSource === id ? 'border-cyan-500 bg-cyan-500/15 text-cyan-200' : 'border-slate-700 text-slate-400 hover:text-slate-200'}`}>
+                      {label}
+                    </button>
+                  ))}
                 </div>
               )}
+              <div className="relative group">
+                <div className="absolute -inset-1 bg-gradient-to-r from-cyan-600 to-violet-600 rounded-xl blur opacity-25 group-hover:opacity-45 transition duration-1000"></div>
+                {showNasaMoon ? (
+                  <img src={moonImageURLs.jpg} alt="Moon Phase" onError={() => setMoonError('NASA image unavailable, showing the rendered moon.')}
+                    className="relative aspect-square w-full rounded-xl shadow-2xl border border-slate-700" />
+                ) : (
+                  <MoonDisc rendering={moonRendering} />
+                )}
+              </div>
               <div className="text-center space-y-1">
-                <p className="text-sm font-semibold text-slate-100">{formatDate(date).split(',')[0]}</p>
+                <p className="text-sm font-semibold text-slate-100">{new Date(moonTime).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}, {formatUtcTime(moonTime)}</p>
+                <p className="text-xs text-slate-400">
+                  {(moonRendering.fraction * 100).toFixed(1)}% lit, {moonRendering.waxing ? 'waxing' : 'waning'}
+                  {' · '}libration {moonRendering.libration.lat.toFixed(1)}°, {moonRendering.libration.lon.toFixed(1)}°
+                </p>
                 <p className="text-xs text-slate-400">Hemisphere view: <span className="text-slate-200">{hemisphere}</span></p>
-                <a href="https://svs.gsfc.nasa.gov/" target="_blank" rel="noopener noreferrer" className="text-xs text-cyan-300 hover:underline">NASA Scientific Visualization Studio</a>
+                {moonSource === 'nasa' && moonError && <p className="text-xs text-amber-300">{moonError}</p>}
+                {showNasaMoon && (
+                  <a href="https://svs.gsfc.nasa.gov/" target="_blank" rel="noopener noreferrer" className="text-xs text-cyan-300 hover:underline">NASA Scientific Visualization Studio</a>
+                )}
               </div>
             </div>
 
@@ -731,51 +2078,71 @@ export default function App() {
             </div>
 
             <div className="bg-slate-950/70 rounded-xl border border-slate-800 p-4 space-y-2">
-              <p className="text-xs text-slate-400 uppercase tracking-wider">Local weather</p>
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-slate-400 uppercase tracking-wider">Sighting weather</p>
+                <select value={weatherProvider} onChange={(e) => setWeatherProvider(e.target.value)}
+                  className="rounded-lg border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-200">
+                  {WEATHER_PROVIDERS.map((provider) => (
+                    <option key={provider.id} value={provider.id}>{provider.label}</option>
+                  ))}
+                </select>
+              </div>
               {!coords ? (
                 <p className="text-sm text-slate-400">Select a location on the map to load weather.</p>
               ) : weatherLoading ? (
                 <p className="text-sm text-slate-300">Loading weather...</p>
               ) : weatherError ? (
                 <p className="text-sm text-amber-300">{weatherError}</p>
-              ) : weather ? (
-                <div className="grid grid-cols-2 gap-2 text-sm">
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Condition</p>
-                    <p className="font-medium text-slate-100">{weather.weatherLabel}</p>
-                  </div>
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Temperature</p>
-                    <p className="font-medium text-slate-100">{weather.tempC?.toFixed(1)}°C</p>
-                  </div>
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Cloud cover</p>
-                    <p className="font-medium text-slate-100">{weather.cloudCover ?? '--'}%</p>
-                  </div>
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Wind</p>
-                    <p className="font-medium text-slate-100">{weather.windKph?.toFixed(1)} km/h</p>
-                  </div>
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Humidity</p>
-                    <p className="font-medium text-slate-100">{weather.humidity ?? '--'}%</p>
-                  </div>
-                  <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
-                    <p className="text-xs text-slate-400">Precipitation</p>
-                    <p className="font-medium text-slate-100">{weather.precipitation?.toFixed(1)} mm</p>
+              ) : weatherSample ? (
+                <>
+                  {sightingChance && (
+                    <div className="rounded-lg border border-slate-800 bg-slate-900/60 p-3">
+                      <div className="flex items-center justify-between gap-2">
+                        <p className="text-xs text-slate-400">Practical sighting chance</p>
+                        <p className="text-sm font-bold" style={{ color: sightingChance.level.color }}>
+                          {sightingChance.level.label} · {Math.round(sightingChance.chance * 100)}%
+                        </p>
+                      </div>
+                      <p className="mt-1 text-xs text-slate-400">
+                        {sightingChance.astronomical === 0
+                          ? `Code ${details.qcode} rules out a sighting whatever the weather.`
+                          : `Code ${details.qcode} ${Math.round(sightingChance.astronomical * 100)}% × weather ${Math.round(sightingChance.weather * 100)}%${sightingChance.limiting ? `, limited by ${sightingChance.limiting.label.toLowerCase()}` : ''}.`}
+                      </p>
+                    </div>
+                  )}
+                  <p className="text-xs text-slate-400">
+                    At {weather.best ? 'best time' : evening ? 'sunset' : 'sunrise'}, <span className="font-mono text-slate-200">{formatUtcTime(weatherSample.time)}</span>
+                    {weather.best && weather.sunset ? <> · {evening ? 'sunset' : 'sunrise'} cloud {Math.round(weather.sunset.cloudCover ?? 0)}%</> : null}
+                  </p>
+                  <div className="grid grid-cols-2 gap-2 text-sm">
+                    {[
+                      ['Condition', weatherSample.weatherCode == null ? '--' : getWeatherCodeLabel(weatherSample.weatherCode)],
+                      ['Cloud cover', weatherSample.cloudCover == null ? '--' : `${Math.round(weatherSample.cloudCover)}%`],
+                      ['Low / mid / high', [weatherSample.cloudLow, weatherSample.cloudMid, weatherSample.cloudHigh].map((v) => (v == null ? '--' : Math.round(v))).join(' / ') + '%'],
+                      ['Visibility', weatherSample.visibility == null ? '--' : `${(weatherSample.visibility / 1000).toFixed(1)} km`],
+                      ['Humidity', weatherSample.humidity == null ? '--' : `${Math.round(weatherSample.humidity)}%`],
+                      ['Dust', weatherSample.dust == null ? '--' : `${Math.round(weatherSample.dust)} µg/m³${weatherSample.aod == null ? '' : `, AOD ${weatherSample.aod.toFixed(2)}`}`],
+                      ['Precipitation', weatherSample.precipitation == null ? '--' : `${weatherSample.precipitation.toFixed(1)} mm`],
+                      ['Temp / wind', `${weatherSample.tempC?.toFixed(1) ?? '--'}°C, ${weatherSample.windKph?.toFixed(0) ?? '--'} km/h`],
+                    ].map(([label, value]) => (
+                      <div key={label} className="rounded-lg border border-slate-800 bg-slate-900/60 p-2">
+                        <p className="text-xs text-slate-400">{label}</p>
+                        <p className="font-medium text-slate-100">{value}</p>
+                      </div>
+                    ))}
                   </div>
-                </div>
+                </>
               ) : (
                 <p className="text-sm text-slate-400">Weather data unavailable.</p>
               )}
               <p className="text-xs text-slate-500">
-                Source: Open-Meteo (point forecast){' '}
+                Source: {getWeatherProvider(weatherProvider).label} (hourly point forecast){' '}
                 {showCloudOverlay ? 'and NASA cloud satellite overlay enabled.' : 'and NASA cloud satellite overlay is off.'}
               </p>
             </div>
 
             <div className="pt-2 border-t border-slate-700 space-y-3 text-sm text-slate-400 leading-relaxed">
-              <p>Visibility is modeled with Yallop criteria using Sun-Moon geometry near best observation time.</p>
+              <p>Visibility is modeled with {criterionLabel} criteria using Sun-Moon geometry near best observation time{evening ? ' after sunset' : ' before sunrise'}.</p>
               {/* <p className="flex items-center gap-2"><span className="inline-block h-2 w-2 rounded-full bg-emerald-400 animate-pulse" />Use high-contrast crescent windows near Ramadan verification dates.</p> */}
             </div>
           </section>
@@ -0,0 +1,93 @@
+import { GIFEncoder, quantize, applyPalette } from 'gifenc'
+
+// Animated GIF/WebM export of a sequence of map views. The caller shows each
+// frame (a new date, or the camera moved) and resolves once the grid is drawn;
+// the map canvas (preserveDrawingBuffer) is then copied onto a frame with a
+// caption strip. WebM is recorded in real time with MediaRecorder, pausing
+// while the next view loads; GIF frames are encoded one by one.
+
+const MAX_WIDTH = { gif: 720, webm: 1280 }
+const CAPTION_HEIGHT = 36
+const FRAME_DURATION = 1200
+const WEBM_FPS = 10
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+export function getWebMType() {
+  if (typeof MediaRecorder === 'undefined') return null
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) => MediaRecorder.isTypeSupported(type)) ?? null
+}
+
+// Video encoders want even dimensions.
+function createFrameCanvas(source, maxWidth) {
+  const scale = Math.min(1, maxWidth / source.width)
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(source.width * scale / 2) * 2
+  canvas.height = Math.round(source.height * scale / 2) * 2 + CAPTION_HEIGHT
+  return canvas
+}
+
+function drawFrame(context, source, caption, title) {
+  const { width, height } = context.canvas
+  context.fillStyle = '#0b1120'
+  context.fillRect(0, 0, width, height)
+  context.drawImage(source, 0, 0, width, height - CAPTION_HEIGHT)
+  context.textBaseline = 'middle'
+  context.textAlign = 'left'
+  context.fillStyle = '#e2e8f0'
+  context.font = '600 15px system-ui, sans-serif'
+  context.fillText(caption, 12, height - CAPTION_HEIGHT / 2)
+  context.textAlign = 'right'
+  context.fillStyle = '#94a3b8'
+  context.font = '12px system-ui, sans-serif'
+  context.fillText(title, width - 12, height - CAPTION_HEIGHT / 2)
+}
+
+// `frames` are { caption, ... } objects passed back to `showFrame`.
+export async function recordAnimation({ source, frames, showFrame, format, title, onProgress }) {
+  if (frames.length === 0) throw new Error('Nothing to record')
+  const canvas = createFrameCanvas(source, MAX_WIDTH[format])
+  const context = canvas.getContext('2d', { willReadFrequently: format === 'gif' })
+
+  if (format === 'gif') {
+    const gif = GIFEncoder()
+    for (const [i, frame] of frames.entries()) {
+      await showFrame(frame)
+      drawFrame(context, source, frame.caption, title)
+      const { data } = context.getImageData(0, 0, canvas.width, canvas.height)
+      const palette = quantize(data, 256)
+      gif.writeFrame(applyPalette(data, palette), canvas.width, canvas.height, { palette, delay: FRAME_DURATION })
+      onProgress?.(i + 1, frames.length)
+    }
+    gif.finish()
+    return new Blob([gif.bytes()], { type: 'image/gif' })
+  }
+
+  const mimeType = getWebMType()
+  if (!mimeType) throw new Error('This browser cannot record WebM video')
+  const recorder = new MediaRecorder(canvas.captureStream(WEBM_FPS), { mimeType })
+  const chunks = []
+  recorder.ondataavailable = (event) => { if (event.data.size > 0) chunks.push(event.data) }
+  const stopped = new Promise((resolve) => { recorder.onstop = resolve })
+
+  try {
+    for (const [i, frame] of frames.entries()) {
+      if (recorder.state === 'recording') recorder.pause()
+      await showFrame(frame)
+      drawFrame(context, source, frame.caption, title)
+      if (recorder.state === 'inactive') recorder.start()
+      else recorder.resume()
+      // Keep drawing while the view is held so the stream carries frames.
+      const end = performance.now() + FRAME_DURATION
+      while (performance.now() < end) {
+        await sleep(1000 / WEBM_FPS)
+        drawFrame(context, source, frame.caption, title)
+      }
+      onProgress?.(i + 1, frames.length)
+    }
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop()
+  }
+  await stopped
+  return new Blob(chunks, { type: 'video/webm' })
+}
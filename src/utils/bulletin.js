@@ -0,0 +1,230 @@
+import * as Astronomy from 'astronomy-engine'
+import { calculate } from './calculate.js'
+import { getCriterion, getCodeInfo, getLegend, isStatusCode } from './criteria.js'
+
+// Print-ready A4 bulletin: the map snapshot, the code legend, the Hijri date,
+// conjunction time, criterion and a table of city codes. The page is laid out
+// once as a list of primitives (text, rect, image) in PostScript points and
+// written out either as SVG or as a single-page PDF.
+
+const PAGE = { width: 595, height: 842 }
+const MARGIN = 40
+const CONTENT_WIDTH = PAGE.width - 2 * MARGIN
+const MAX_MAP_HEIGHT = 300
+const ONE_DAY = 24 * 60 * 60 * 1000
+const INK = '#0f172a'
+const MUTED = '#475569'
+const RULE = '#cbd5e1'
+
+// Rank 1 places of the bundled city list (public/basemap/cities.geojson).
+const BULLETIN_CITY_RANK = 1
+
+export async function loadBulletinCities(baseUrl = import.meta.env.BASE_URL) {
+  const response = await fetch(`${baseUrl}basemap/cities.geojson`)
+  if (!response.ok) throw new Error(`Cities request failed (${response.status})`)
+  const { features } = await response.json()
+  return features
+    .filter((feature) => feature.properties.rank <= BULLETIN_CITY_RANK)
+    .map((feature) => ({ name: feature.properties.name, lng: feature.geometry.coordinates[0], lat: feature.geometry.coordinates[1] }))
+}
+
+// The new moon before the end of the date's UTC day for an evening crescent,
+// or after its start for a morning one, so a conjunction later on the same
+// day still counts.
+function findConjunction(date, evening) {
+  const conjunction = evening
+    ? Astronomy.SearchMoonPhase(0, new Date(date.getTime() + ONE_DAY), -30)
+    : Astronomy.SearchMoonPhase(0, date, 30)
+  return conjunction ? conjunction.date : null
+}
+
+function formatUtc(date) {
+  return date ? `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC` : '--'
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text
+}
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+function cityRows(cities, { date, elevation, criterion, evening }) {
+  return cities.map((city) => {
+    const details = calculate(city.lat, city.lng, elevation, date, { criterion, evening })
+    return {
+      name: city.name,
+      qcode: details.qcode,
+      color: getCodeInfo(details.qcode, criterion, evening)?.color ?? RULE,
+      value: Number.isFinite(details.value) && !isStatusCode(details.qcode) ? details.value.toFixed(3) : '--',
+      time: details.bestTime ? details.bestTime.date.toISOString().slice(11, 16) : '--',
+    }
+  })
+}
+
+// `canvas` is the map's WebGL canvas (created with preserveDrawingBuffer) and
+// `place`, when set, is listed first in the city table.
+export function buildBulletin({ canvas, date, elevation, criterion, evening, hijriDate, place, cities }) {
+  const info = getCriterion(criterion)
+  const items = []
+  const text = (x, y, value, { size = 9, bold = false, color = INK } = {}) => items.push({ type: 'text', x, y, text: value, size, bold, color })
+  const rect = (x, y, w, h, fill, stroke = null) => items.push({ type: 'rect', x, y, w, h, fill, stroke })
+
+  const conjunction = findConjunction(date, evening)
+  text(MARGIN, 58, 'Hilal Visibility Bulletin', { size: 20, bold: true })
+  text(MARGIN, 80, `${evening ? 'Evening' : 'Morning'} of ${date.toISOString().slice(0, 10)} · ${hijriDate}`, { size: 12 })
+  text(MARGIN, 98, `Conjunction (new moon): ${formatUtc(conjunction)}`, { size: 9, color: MUTED })
+  text(MARGIN, 111, `Criterion: ${info.label} - ${info.reference} · Observer elevation ${elevation} m`, { size: 9, color: MUTED })
+
+  let y = 124
+  const mapHeight = Math.min(MAX_MAP_HEIGHT, CONTENT_WIDTH * canvas.height / canvas.width)
+  const mapWidth = mapHeight * canvas.width / canvas.height
+  items.push({
+    type: 'image',
+    x: MARGIN + (CONTENT_WIDTH - mapWidth) / 2, y, w: mapWidth, h: mapHeight,
+    png: canvas.toDataURL('image/png'),
+    jpeg: dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92)),
+    pixelWidth: canvas.width, pixelHeight: canvas.height,
+  })
+  rect(MARGIN + (CONTENT_WIDTH - mapWidth) / 2, y, mapWidth, mapHeight, null, RULE)
+  y += mapHeight + 20
+
+  text(MARGIN, y, 'Legend', { size: 10, bold: true })
+  y += 6
+  const legend = getLegend(criterion, evening)
+  const legendColumn = CONTENT_WIDTH / 3
+  legend.forEach((entry, i) => {
+    const x = MARGIN + (i % 3) * legendColumn
+    const top = y + Math.floor(i / 3) * 14
+    rect(x, top + 2, 10, 10, entry.color, RULE)
+    text(x + 15, top + 10, truncate(`${entry.code}  ${entry.label}`, 38), { size: 8 })
+  })
+  y += Math.ceil(legend.length / 3) * 14 + 18
+
+  const rows = cityRows([...(place ? [place] : []), ...cities], { date, elevation, criterion, evening })
+  text(MARGIN, y, `City forecast (${info.label} code, ${info.valueLabel} value, best time UTC)`, { size: 10, bold: true })
+  y += 16
+  const perColumn = Math.ceil(rows.length / 2)
+  const tableColumn = CONTENT_WIDTH / 2
+  const rowHeight = Math.min(13, (PAGE.height - 70 - y) / Math.max(1, perColumn))
+  rows.forEach((row, i) => {
+    const x = MARGIN + Math.floor(i / perColumn) * tableColumn
+    const top = y + (i % perColumn) * rowHeight
+    if ((i % perColumn) % 2 === 0) rect(x, top, tableColumn - 10, rowHeight, '#f1f5f9')
+    rect(x + 4, top + (rowHeight - 8) / 2, 8, 8, row.color, RULE)
+    text(x + 17, top + rowHeight - 4, truncate(row.name, 26), { size: 8 })
+    text(x + 140, top + rowHeight - 4, row.qcode, { size: 8, bold: true })
+    text(x + 160, top + rowHeight - 4, row.value, { size: 8 })
+    text(x + 205, top + rowHeight - 4, row.time, { size: 8 })
+  })
+
+  rect(MARGIN, PAGE.height - 50, CONTENT_WIDTH, 0.5, RULE)
+  text(MARGIN, PAGE.height - 36, `Generated ${formatUtc(new Date())} by the Hilal-liqo Moon Sighting Dashboard. Codes are predictions, not sighting reports.`, { size: 7, color: MUTED })
+  return { ...PAGE, items }
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+export function bulletinToSVG({ width, height, items }) {
+  const body = items.map((item) => {
+    if (item.type === 'text') {
+      return `<text x="${item.x}" y="${item.y}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} fill="${item.color}">${escapeXml(item.text)}</text>`
+    }
+    if (item.type === 'rect') {
+      return `<rect x="${item.x}" y="${item.y}" width="${item.w}" height="${item.h}" fill="${item.fill ?? 'none'}"${item.stroke ? ` stroke="${item.stroke}" stroke-width="0.5"` : ''}/>`
+    }
+    return `<image x="${item.x}" y="${item.y}" width="${item.w}" height="${item.h}" preserveAspectRatio="none" href="${item.png}"/>`
+  })
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="210mm" height="297mm" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...body,
+    '</svg>',
+  ].join('\n')
+}
+
+function pdfColor(hex, operator) {
+  const match = /^#([0-9a-f]{6})$/i.exec(hex)
+  const value = match ? parseInt(match[1], 16) : 0x94a3b8
+  return `${[(value >> 16) & 255, (value >> 8) & 255, value & 255].map((c) => (c / 255).toFixed(3)).join(' ')} ${operator}`
+}
+
+// The standard Helvetica fonts only cover WinAnsi, so text is reduced to
+// Latin-1: transliteration marks (as in "Rabiʻ") are dropped or made plain.
+function pdfText(value) {
+  const mapped = String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[ʻʼ‘’]/g, "'").replace(/…/g, '\x85').normalize('NFC')
+  return mapped.replace(/[^\x20-\xff]/g, '?').replace(/[\\()]/g, (c) => `\\${c}`)
+}
+
+function latin1(text) {
+  const bytes = new Uint8Array(text.length)
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff
+  return bytes
+}
+
+// Single page with the two base-14 Helvetica faces and the map as a JPEG
+// (DCTDecode) image; no fonts or libraries are embedded.
+export function bulletinToPDF({ width, height, items }) {
+  const image = items.find((item) => item.type === 'image')
+  const content = items.map((item) => {
+    const top = height - item.y
+    if (item.type === 'text') {
+      return `BT ${pdfColor(item.color, 'rg')} /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${item.x} ${top.toFixed(2)} Td (${pdfText(item.text)}) Tj ET`
+    }
+    if (item.type === 'rect') {
+      const path = `${item.x.toFixed(2)} ${(top - item.h).toFixed(2)} ${item.w.toFixed(2)} ${item.h.toFixed(2)} re`
+      return [
+        item.fill ? `${pdfColor(item.fill, 'rg')} ${path} f` : '',
+        item.stroke ? `${pdfColor(item.stroke, 'RG')} 0.5 w ${path} S` : '',
+      ].filter(Boolean).join(' ')
+    }
+    return `q ${item.w.toFixed(2)} 0 0 ${item.h.toFixed(2)} ${item.x.toFixed(2)} ${(top - item.h).toFixed(2)} cm /Im1 Do Q`
+  }).join('\n')
+
+  const objects = [
+    ['<< /Type /Catalog /Pages 2 0 R >>'],
+    ['<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >>${image ? ' /XObject << /Im1 6 0 R >>' : ''} >> /Contents 7 0 R >>`],
+    ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'],
+    ['<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'],
+    image
+      ? [`<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`, image.jpeg]
+      : ['null'],
+    [`<< /Length ${content.length} >>`, latin1(content)],
+  ]
+
+  const chunks = [latin1('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')]
+  let length = chunks[0].length
+  const offsets = []
+  const push = (bytes) => { chunks.push(bytes); length += bytes.length }
+  objects.forEach(([dictionary, stream], i) => {
+    offsets.push(length)
+    push(latin1(`${i + 1} 0 obj\n${dictionary}\n`))
+    if (stream) {
+      push(latin1('stream\n'))
+      push(stream)
+      push(latin1('\nendstream\n'))
+    }
+    push(latin1('endobj\n'))
+  })
+  const xref = length
+  push(latin1([
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(xref),
+    '%%EOF',
+  ].join('\n')))
+  return new Blob(chunks, { type: 'application/pdf' })
+}
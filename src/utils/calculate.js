@@ -1,7 +1,14 @@
 import * as Astronomy from 'astronomy-engine'
+import { getCriterion, getCodeInfo, evaluateCriterion } from './criteria.js'
+
+// Bump whenever calculate() or a criterion changes its output, so cached
+// cells from the previous formulas are no longer served.
+export const CALCULATION_VERSION = 1
 
 export function calculate(latitude, longitude, altitude = 0, baseTime, options = {}) {
-  const { evening = true, yallop = true } = options
+  const { evening = true, criterion = 'yallop' } = options
+  const definition = getCriterion(criterion)
+  const geocentric = definition.frame === 'geocentric'
   let details = {}
 
   baseTime = Astronomy.MakeTime(baseTime)
@@ -19,28 +26,29 @@ export function calculate(latitude, longitude, altitude = 0, baseTime, options =
 
   const lagTime = (moonsetMoonrise.ut - sunsetSunrise.ut) * (evening ? 1 : -1)
   const bestTime = lagTime < 0
-    ? sunsetSunrise.date
+    ? sunsetSunrise
     : sunsetSunrise.AddDays(((lagTime * 4) / 9) * (evening ? 1 : -1))
 
   details.lagTime = lagTime
   details.moonsetMoonrise = moonsetMoonrise.date
   details.sunsetSunrise = sunsetSunrise.date
 
-  const newMoonPrev = Astronomy.SearchMoonPhase(0, sunsetSunrise.date, -35).date
-  const newMoonNext = Astronomy.SearchMoonPhase(0, sunsetSunrise.date, +35).date
+  const newMoonPrev = Astronomy.SearchMoonPhase(0, sunsetSunrise, -35)
+  const newMoonNext = Astronomy.SearchMoonPhase(0, sunsetSunrise, +35)
   const newMoonNearest = sunsetSunrise.ut - newMoonPrev.ut <= newMoonNext.ut - sunsetSunrise.ut
     ? newMoonPrev
     : newMoonNext
 
-  details.newMoonPrev = newMoonPrev
-  details.newMoonNext = newMoonNext
+  details.newMoonPrev = newMoonPrev.date
+  details.newMoonNext = newMoonNext.date
   details.moonAgePrev = bestTime.ut - newMoonPrev.ut
   details.moonAgeNext = bestTime.ut - newMoonNext.ut
 
+  let status = null
   const beforeNewMoon = (sunsetSunrise.ut - newMoonNearest.ut) * (evening ? 1 : -1) < 0
-  if (lagTime < 0 && beforeNewMoon) details.qcode = "J"
-  if (lagTime < 0) details.qcode = "I"
-  if (beforeNewMoon) details.qcode = "G"
+  if (lagTime < 0 && beforeNewMoon) status = "J"
+  if (lagTime < 0) status = "I"
+  if (beforeNewMoon) status = "G"
 
   const sunEquator = Astronomy.Equator(Astronomy.Body.Sun, bestTime, observer, true, true)
   const sunHorizon = Astronomy.Horizon(bestTime, observer, sunEquator.ra, sunEquator.dec, null)
@@ -52,14 +60,14 @@ export function calculate(latitude, longitude, altitude = 0, baseTime, options =
   const lunarParallax = SD / 0.27245
   const SDTopo = SD * (1 + Math.sin(moonHorizon.altitude * Astronomy.DEG2RAD) * Math.sin((lunarParallax / 60) * Astronomy.DEG2RAD))
 
-  const ARCL = yallop
+  const ARCL = geocentric
     ? Astronomy.Elongation(Astronomy.Body.Moon, bestTime).elongation
-    : Astronomy.AngleBetween(sunEquator.vec, moonEquator.vec).angle
+    : Astronomy.AngleBetween(sunEquator.vec, moonEquator.vec)
 
   const DAZ = sunHorizon.azimuth - moonHorizon.azimuth
 
   let ARCV
-  if (yallop) {
+  if (geocentric) {
     const geoMoon = Astronomy.GeoVector(Astronomy.Body.Moon, bestTime, true)
     const geoSun = Astronomy.GeoVector(Astronomy.Body.Sun, bestTime, true)
     const rot = Astronomy.Rotation_EQJ_EQD(bestTime)
@@ -78,25 +86,24 @@ export function calculate(latitude, longitude, altitude = 0, baseTime, options =
   }
   const WTopo = SDTopo * (1 - Math.cos(ARCL * Astronomy.DEG2RAD))
 
-  let result = " "
-  let value
-  if (yallop) {
-    value = (ARCV - (11.8371 - 6.3226 * WTopo + 0.7319 * Math.pow(WTopo, 2) - 0.1018 * Math.pow(WTopo, 3))) / 10
-    if (value > +0.216) result = "A"
-    else if (value > -0.014) result = "B"
-    else if (value > -0.16) result = "C"
-    else if (value > -0.232) result = "D"
-    else if (value > -0.293) result = "E"
-    else result = "F"
-  } else {
-    value = ARCV - (7.1651 - 6.3226 * WTopo + 0.7319 * Math.pow(WTopo, 2) - 0.1018 * Math.pow(WTopo, 3))
-    if (value >= 5.65) result = "A"
-    else if (value >= 2.0) result = "C"
-    else if (value >= -0.96) result = "E"
-    else result = "F"
+  const params = {
+    arcv: ARCV,
+    arcl: ARCL,
+    w: WTopo,
+    daz: DAZ,
+    lag: lagTime * 24,
+    age: (evening ? sunsetSunrise.ut - newMoonPrev.ut : newMoonNext.ut - sunsetSunrise.ut) * 24,
+  }
+  if (definition.inputs.includes('alt') || definition.inputs.includes('elongation')) {
+    const moonAtSunset = Astronomy.Equator(Astronomy.Body.Moon, sunsetSunrise, observer, true, true)
+    params.alt = Astronomy.Horizon(sunsetSunrise, observer, moonAtSunset.ra, moonAtSunset.dec, null).altitude
+    params.elongation = Astronomy.Elongation(Astronomy.Body.Moon, sunsetSunrise).elongation
   }
+  const { qcode, value } = evaluateCriterion(definition.id, params)
 
-  details.qcode = result
+  details.qcode = status || qcode
+  details.criterion = definition.id
+  details.evening = evening
   details.bestTime = bestTime
   details.sd = SD
   details.lunarParallax = lunarParallax
@@ -106,6 +113,7 @@ export function calculate(latitude, longitude, altitude = 0, baseTime, options =
   details.wTopo = WTopo
   details.sdTopo = SDTopo
   details.value = value
+  details.params = params
   details.moonAzimuth = moonHorizon.azimuth
   details.moonAltitude = moonHorizon.altitude
   details.moonRa = moonHorizon.ra
@@ -118,16 +126,6 @@ export function calculate(latitude, longitude, altitude = 0, baseTime, options =
   return details
 }
 
-export function getCellColor(qcode) {
-  if (qcode === "A") return "#22c55e"
-  else if (qcode === "B") return "#84cc16"
-  else if (qcode === "C") return "#2dd4bf"
-  else if (qcode === "D") return "#facc15"
-  else if (qcode === "E") return "#fb923c"
-  else if (qcode === "F") return "rgba(0, 0, 0, 0)"
-  else if (qcode === "G") return "#a855f7"
-  else if (qcode === "H") return "#3b82f6"
-  else if (qcode === "I") return "#ef4444"
-  else if (qcode === "J") return "rgba(0, 0, 0, 0)"
-  return null
+export function getCellColor(qcode, criterion = 'yallop', evening = true) {
+  return getCodeInfo(qcode, criterion, evening)?.color ?? null
 }
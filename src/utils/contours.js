@@ -0,0 +1,135 @@
+import { getCriterion, getCodeInfo } from './criteria.js'
+import { getWorkerPool } from './workerPool.js'
+
+// Edges of a grid square: 0 bottom, 1 right, 2 top, 3 left. Corners are
+// weighted tl 8, tr 4, br 2, bl 1; saddles (5, 10) are resolved below.
+const SEGMENTS = {
+  1: [[3, 0]], 2: [[0, 1]], 3: [[3, 1]], 4: [[1, 2]],
+  6: [[0, 2]], 7: [[3, 2]], 8: [[3, 2]], 9: [[0, 2]],
+  11: [[1, 2]], 12: [[3, 1]], 13: [[0, 1]], 14: [[3, 0]],
+}
+
+export function getContourLevels(criterionId) {
+  const criterion = getCriterion(criterionId)
+  return criterion.thresholds.map((threshold, i) => {
+    const below = criterion.thresholds[i + 1]?.code ?? criterion.fallback
+    return {
+      value: threshold.min,
+      label: `${threshold.code}/${below}`,
+      color: getCodeInfo(threshold.code, criterionId)?.color,
+    }
+  })
+}
+
+// Regular lat/lng grid over the viewport. Longitudes are kept unwrapped so the
+// lines stay continuous when the view crosses the antimeridian.
+export function getContourGrid(bounds, cols = 48, rows = 32) {
+  const west = bounds.getWest(), east = bounds.getEast()
+  const south = Math.max(-75, bounds.getSouth()), north = Math.min(75, bounds.getNorth())
+  const lngs = Array.from({ length: cols + 1 }, (_, i) => west + ((east - west) * i) / cols)
+  const lats = Array.from({ length: rows + 1 }, (_, i) => south + ((north - south) * i) / rows)
+  const points = []
+  lats.forEach((lat, r) => lngs.forEach((lng, c) => {
+    points.push({ id: `${r}:${c}`, lat, lng: ((((lng + 180) % 360) + 360) % 360) - 180 })
+  }))
+  return { lngs, lats, points }
+}
+
+function edgePoint(grid, values, r, c, edge, level) {
+  const [a, b] = [
+    [[r, c], [r, c + 1]],
+    [[r, c + 1], [r + 1, c + 1]],
+    [[r + 1, c], [r + 1, c + 1]],
+    [[r, c], [r + 1, c]],
+  ][edge]
+  const va = values[a[0]][a[1]], vb = values[b[0]][b[1]]
+  const t = va === vb ? 0.5 : (level - va) / (vb - va)
+  const lng = grid.lngs[a[1]] + t * (grid.lngs[b[1]] - grid.lngs[a[1]])
+  const lat = grid.lats[a[0]] + t * (grid.lats[b[0]] - grid.lats[a[0]])
+  return [lng, lat]
+}
+
+export function marchingSquares(grid, values, level) {
+  const segments = []
+  for (let r = 0; r < grid.lats.length - 1; r++) {
+    for (let c = 0; c < grid.lngs.length - 1; c++) {
+      const bl = values[r][c], br = values[r][c + 1], tr = values[r + 1][c + 1], tl = values[r + 1][c]
+      if ([bl, br, tr, tl].some((v) => !Number.isFinite(v))) continue
+      const index = (tl >= level ? 8 : 0) | (tr >= level ? 4 : 0) | (br >= level ? 2 : 0) | (bl >= level ? 1 : 0)
+      let pairs = SEGMENTS[index]
+      if (index === 5 || index === 10) {
+        const centerAbove = (bl + br + tr + tl) / 4 >= level
+        pairs = (index === 5) === centerAbove ? [[3, 2], [0, 1]] : [[3, 0], [1, 2]]
+      }
+      if (!pairs) continue
+      pairs.forEach(([e1, e2]) => {
+        segments.push([edgePoint(grid, values, r, c, e1, level), edgePoint(grid, values, r, c, e2, level)])
+      })
+    }
+  }
+  return segments
+}
+
+export function joinSegments(segments) {
+  const key = ([x, y]) => `${x.toFixed(6)},${y.toFixed(6)}`
+  const byEnd = new Map()
+  segments.forEach((segment, i) => {
+    segment.forEach((point) => {
+      const k = key(point)
+      if (!byEnd.has(k)) byEnd.set(k, [])
+      byEnd.get(k).push(i)
+    })
+  })
+  const used = new Set()
+  const next = (point) => (byEnd.get(key(point)) || []).find((i) => !used.has(i))
+  const lines = []
+  segments.forEach((segment, start) => {
+    if (used.has(start)) return
+    used.add(start)
+    const line = [...segment]
+    for (const grow of ['end', 'start']) {
+      let tip = grow === 'end' ? line[line.length - 1] : line[0]
+      let i = next(tip)
+      while (i !== undefined) {
+        used.add(i)
+        const [p, q] = segments[i]
+        const other = key(p) === key(tip) ? q : p
+        if (grow === 'end') line.push(other)
+        else line.unshift(other)
+        tip = other
+        i = next(tip)
+      }
+    }
+    lines.push(line)
+  })
+  return lines
+}
+
+// Cells with a status code (G, H, I) have no meaningful criterion value, so
+// they are left as gaps rather than drawn as zone boundaries.
+export function buildContours(grid, results, criterionId) {
+  const { codes } = getCriterion(criterionId)
+  const byId = new Map(results.map((res) => [res.id, res]))
+  const values = grid.lats.map((_, r) => grid.lngs.map((_, c) => {
+    const res = byId.get(`${r}:${c}`)
+    return res && codes[res.qcode] ? res.value : NaN
+  }))
+  const features = []
+  getContourLevels(criterionId).forEach((level) => {
+    joinSegments(marchingSquares(grid, values, level.value)).forEach((line) => {
+      if (line.length < 2) return
+      features.push({
+        type: 'Feature',
+        properties: { level: level.value, label: level.label, color: level.color },
+        geometry: { type: 'LineString', coordinates: line },
+      })
+    })
+  })
+  return { type: 'FeatureCollection', features }
+}
+
+export async function computeContours(bounds, { date, elevation, criterion, evening }, requestId = null) {
+  const grid = getContourGrid(bounds)
+  const results = await getWorkerPool().run({ points: grid.points, elevation, date, options: { criterion, evening } }, { requestId })
+  return buildContours(grid, results, criterion)
+}
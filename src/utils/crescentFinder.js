@@ -0,0 +1,77 @@
+import * as Astronomy from 'astronomy-engine'
+import { getCriterion } from './criteria.js'
+import { getWorkerPool } from './workerPool.js'
+
+const ONE_DAY = 24 * 60 * 60 * 1000
+
+const EVENING_LABELS = ['29th evening', '30th evening', 'Day after']
+
+// Searching from two days back keeps a conjunction from yesterday, whose
+// evenings are still ahead, in view.
+export function findNextConjunction(date) {
+  const conjunction = Astronomy.SearchMoonPhase(0, new Date(date.getTime() - 2 * ONE_DAY), 40)
+  return conjunction ? conjunction.date : null
+}
+
+export function getUpcomingConjunctions(date, count) {
+  const conjunctions = []
+  let from = date
+  while (conjunctions.length < count) {
+    const conjunction = findNextConjunction(from)
+    if (!conjunction) break
+    conjunctions.push(conjunction)
+    // A lunation is never shorter than 29 days, so this lands past the one just found.
+    from = new Date(conjunction.getTime() + 27 * ONE_DAY)
+  }
+  return conjunctions
+}
+
+// Evenings as UTC midnights from the conjunction's UTC day, the same
+// convention as the selected date and the date picker.
+export function getCrescentEvenings(conjunction) {
+  const conjunctionDay = new Date(Date.UTC(conjunction.getUTCFullYear(), conjunction.getUTCMonth(), conjunction.getUTCDate()))
+  return EVENING_LABELS.map((label, i) => {
+    const day = new Date(conjunctionDay.getTime() + i * ONE_DAY)
+    return { label, day, date: day }
+  })
+}
+
+export function getSummaryPoints(step = 10, maxLat = 60) {
+  const points = []
+  for (let lat = -maxLat; lat <= maxLat; lat += step) {
+    for (let lng = -180 + step / 2; lng < 180; lng += step) {
+      points.push({ id: `${lat},${lng}`, lat, lng })
+    }
+  }
+  return points
+}
+
+// For every visible code, find where on Earth the evening first reaches that
+// code or better. The day begins at the date line, so "first" is the
+// easternmost qualifying longitude.
+export function summarizeEvening(results, criterionId) {
+  const { visible } = getCriterion(criterionId)
+  return visible.map((code, rank) => {
+    const accepted = new Set(visible.slice(0, rank + 1))
+    const hits = results.filter((res) => accepted.has(res.qcode)).map((res) => {
+      const [lat, lng] = res.id.split(',').map(Number)
+      return { lat, lng }
+    })
+    if (hits.length === 0) return { code, count: 0, first: null, latRange: null }
+    const first = hits.reduce((best, hit) => (hit.lng > best.lng ? hit : best))
+    const lats = hits.map((hit) => hit.lat)
+    return { code, count: hits.length, first, latRange: [Math.min(...lats), Math.max(...lats)] }
+  })
+}
+
+export async function findNextCrescent(date, criterion) {
+  const conjunction = findNextConjunction(date)
+  if (!conjunction) return null
+  const points = getSummaryPoints()
+  const evenings = []
+  for (const evening of getCrescentEvenings(conjunction)) {
+    const results = await getWorkerPool().run({ points, elevation: 0, date: evening.date, options: { criterion, evening: true } })
+    evenings.push({ ...evening, summary: summarizeEvening(results, criterion) })
+  }
+  return { conjunction, criterion, evenings }
+}
@@ -0,0 +1,255 @@
+// Registry of crescent visibility criteria.
+//
+// Each criterion declares which parameters it reads (`inputs`), the frame its
+// ARCV/ARCL are measured in, the thresholds that turn its continuous `value`
+// into a letter code, the codes that count as a possible sighting (`visible`,
+// best first) and the legend shown for those codes. `calculate()` computes
+// the parameters once and hands them to `evaluateCriterion()`.
+//
+// Available inputs (angles in degrees, times in hours):
+//   arcv - arc of vision (moon altitude minus sun altitude) at best time
+//   arcl - arc of light (sun-moon elongation) at best time
+//   w    - topocentric crescent width in arc minutes
+//   daz  - relative azimuth (sun minus moon) at best time
+//   lag  - moonset minus sunset (sunrise minus moonrise in the morning)
+//   age  - time since conjunction at sunset (until conjunction in the morning)
+//   alt  - topocentric moon altitude at sunset (sunrise in the morning)
+//   elongation - geocentric elongation at sunset (sunrise in the morning)
+
+const TRANSPARENT = 'rgba(0, 0, 0, 0)'
+
+export const COMMON_CODES = {
+  G: { color: '#a855f7', label: 'Sunset before new moon', description: 'Hilal not visible - Sunset is before new moon' },
+  H: { color: '#3b82f6', label: 'No moonset', description: 'Hilal not visible - No Moonset on location' },
+  I: { color: '#ef4444', label: 'Moonset before sunset', description: 'Hilal not visible - Moonset before sunset' },
+  J: { color: TRANSPARENT, label: 'Moonset before sunset and new moon', description: 'Hilal not visible - Moonset before sunset and new moon' },
+}
+
+// The same status codes read differently for the waning crescent at sunrise.
+export const MORNING_CODES = {
+  G: { color: COMMON_CODES.G.color, label: 'Sunrise after new moon', description: 'Crescent not visible - Sunrise is after new moon' },
+  H: { color: COMMON_CODES.H.color, label: 'No moonrise', description: 'Crescent not visible - No Moonrise on location' },
+  I: { color: COMMON_CODES.I.color, label: 'Moonrise after sunrise', description: 'Crescent not visible - Moonrise after sunrise' },
+  J: { color: TRANSPARENT, label: 'Moonrise after sunrise and new moon', description: 'Crescent not visible - Moonrise after sunrise and new moon' },
+}
+
+function polynomialW(w) {
+  return -6.3226 * w + 0.7319 * Math.pow(w, 2) - 0.1018 * Math.pow(w, 3)
+}
+
+// Linear interpolation in a table of [x, y] rows sorted by x, held at the
+// end values outside it.
+function interpolate(table, x) {
+  if (x <= table[0][0]) return table[0][1]
+  const after = table.findIndex(([tx]) => tx >= x)
+  if (after === -1) return table[table.length - 1][1]
+  const [x0, y0] = table[after - 1], [x1, y1] = table[after]
+  return y0 + ((y1 - y0) * (x - x0)) / (x1 - x0)
+}
+
+// SAAO minimum ARCV against |DAZ|: below the lower curve a sighting is
+// improbable, above the upper one it is probable by naked eye.
+const SAAO_LOWER = [[0, 6.3], [5, 5.9], [10, 4.9], [15, 3.8], [20, 2.6]]
+const SAAO_UPPER = [[0, 8.2], [5, 7.8], [10, 6.8], [15, 5.7], [20, 4.4]]
+
+export const CRITERIA = {
+  yallop: {
+    id: 'yallop',
+    label: 'Yallop',
+    reference: 'Yallop (1997), NAO Technical Note 69',
+    frame: 'geocentric',
+    inputs: ['arcv', 'w'],
+    valueLabel: 'q',
+    value: ({ arcv, w }) => (arcv - (11.8371 + polynomialW(w))) / 10,
+    inclusive: false,
+    thresholds: [
+      { code: 'A', min: 0.216 },
+      { code: 'B', min: -0.014 },
+      { code: 'C', min: -0.16 },
+      { code: 'D', min: -0.232 },
+      { code: 'E', min: -0.293 },
+    ],
+    fallback: 'F',
+    visible: ['A', 'B', 'C', 'D'],
+    codes: {
+      A: { color: '#22c55e', label: 'Hilal easily visible', description: 'Hilal easily visible' },
+      B: { color: '#84cc16', label: 'Hilal visible under perfect conditions', description: 'Hilal visible under perfect conditions' },
+      C: { color: '#2dd4bf', label: 'May need optical aid', description: 'May need optical aid to find crescent' },
+      D: { color: '#facc15', label: 'Will need optical aid', description: 'Will need optical aid to find crescent' },
+      E: { color: '#fb923c', label: 'Not visible with telescope', description: 'Crescent not visible with telescope' },
+      F: { color: TRANSPARENT, label: 'Below Danjon limit (7°)', description: 'Hilal not visible - below the Danjon limit (7°)' },
+    },
+  },
+  odeh: {
+    id: 'odeh',
+    label: 'Odeh',
+    reference: 'Odeh (2004), Experimental Astronomy 18',
+    frame: 'topocentric',
+    inputs: ['arcv', 'w'],
+    valueLabel: 'V',
+    value: ({ arcv, w }) => arcv - (7.1651 + polynomialW(w)),
+    inclusive: true,
+    thresholds: [
+      { code: 'A', min: 5.65 },
+      { code: 'C', min: 2.0 },
+      { code: 'E', min: -0.96 },
+    ],
+    fallback: 'F',
+    visible: ['A', 'C', 'E'],
+    codes: {
+      A: { color: '#22c55e', label: 'Visible by naked eye', description: 'Crescent visible by naked eye' },
+      C: { color: '#84cc16', label: 'Optical aid, may be seen by naked eye', description: 'Crescent visible by optical aid, could be seen by naked eye' },
+      E: { color: '#facc15', label: 'Visible by optical aid only', description: 'Crescent visible by optical aid only' },
+      F: { color: TRANSPARENT, label: 'Not visible even with optical aid', description: 'Crescent not visible even with optical aid' },
+    },
+  },
+  saao: {
+    id: 'saao',
+    label: 'SAAO',
+    reference: 'Caldwell & Laney (2001), African Skies 5',
+    frame: 'geocentric',
+    inputs: ['arcv', 'daz'],
+    valueLabel: 'curve position',
+    value: ({ arcv, daz }) => {
+      const lower = interpolate(SAAO_LOWER, Math.abs(daz))
+      return (arcv - lower) / (interpolate(SAAO_UPPER, Math.abs(daz)) - lower)
+    },
+    inclusive: true,
+    thresholds: [
+      { code: 'A', min: 1 },
+      { code: 'C', min: 0 },
+    ],
+    fallback: 'F',
+    visible: ['A', 'C'],
+    codes: {
+      A: { color: '#22c55e', label: 'Naked-eye sighting probable', description: 'Arc of vision above the SAAO upper curve' },
+      C: { color: '#facc15', label: 'Sighting possible, optical aid', description: 'Arc of vision between the SAAO curves' },
+      F: { color: TRANSPARENT, label: 'Sighting improbable', description: 'Hilal not visible - below the SAAO lower curve' },
+    },
+  },
+  mabims: {
+    id: 'mabims',
+    label: 'MABIMS 3-6.4',
+    reference: 'MABIMS (2021): altitude ≥ 3°, elongation ≥ 6.4° at sunset',
+    frame: 'topocentric',
+    inputs: ['alt', 'elongation'],
+    valueLabel: 'margin °',
+    value: ({ alt, elongation }) => Math.min(alt - 3, elongation - 6.4),
+    inclusive: true,
+    thresholds: [{ code: 'A', min: 0 }],
+    fallback: 'F',
+    visible: ['A'],
+    codes: {
+      A: { color: '#22c55e', label: 'Imkanur rukyat met', description: 'Moon altitude ≥ 3° and elongation ≥ 6.4° at sunset' },
+      F: { color: TRANSPARENT, label: 'Below 3-6.4 limit', description: 'Hilal not visible - below the MABIMS 3-6.4 limit' },
+    },
+  },
+  khgt: {
+    id: 'khgt',
+    label: 'Turkey 2016 / KHGT 5-8',
+    reference: 'Istanbul Unified Hijri Calendar Congress (2016): altitude ≥ 5°, elongation ≥ 8° at sunset',
+    frame: 'topocentric',
+    inputs: ['alt', 'elongation'],
+    valueLabel: 'margin °',
+    value: ({ alt, elongation }) => Math.min(alt - 5, elongation - 8),
+    inclusive: true,
+    thresholds: [{ code: 'A', min: 0 }],
+    fallback: 'F',
+    visible: ['A'],
+    codes: {
+      A: { color: '#22c55e', label: '5-8 limit met', description: 'Moon altitude ≥ 5° and elongation ≥ 8° at sunset' },
+      F: { color: TRANSPARENT, label: 'Below 5-8 limit', description: 'Hilal not visible - below the 5-8 limit' },
+    },
+  },
+  danjon: {
+    id: 'danjon',
+    label: 'Danjon limit',
+    reference: 'Danjon (1932): no crescent below 7° elongation',
+    frame: 'geocentric',
+    inputs: ['arcl'],
+    valueLabel: 'ARCL - 7°',
+    value: ({ arcl }) => arcl - 7,
+    inclusive: true,
+    thresholds: [{ code: 'A', min: 0 }],
+    fallback: 'F',
+    visible: ['A'],
+    codes: {
+      A: { color: '#2dd4bf', label: 'Above Danjon limit', description: 'Elongation at or above the Danjon limit (7°)' },
+      F: { color: TRANSPARENT, label: 'Below Danjon limit (7°)', description: 'Hilal not visible - below the Danjon limit (7°)' },
+    },
+  },
+  indian: {
+    id: 'indian',
+    label: 'Indian (Schoch)',
+    reference: 'Indian Astronomical Ephemeris, after Schoch (1930)',
+    frame: 'geocentric',
+    inputs: ['arcv', 'daz'],
+    valueLabel: 'ARCV margin °',
+    value: ({ arcv, daz }) => arcv - (10.3743 - 0.0137 * Math.abs(daz) - 0.0097 * daz * daz),
+    inclusive: true,
+    thresholds: [{ code: 'A', min: 0 }],
+    fallback: 'F',
+    visible: ['A'],
+    codes: {
+      A: { color: '#22c55e', label: 'Above minimum ARCV', description: 'Arc of vision above the Indian ARCV-DAZ curve' },
+      F: { color: TRANSPARENT, label: 'Below minimum ARCV', description: 'Hilal not visible - below the Indian ARCV-DAZ curve' },
+    },
+  },
+  ummalqura: {
+    id: 'ummalqura',
+    label: 'Umm al-Qura',
+    reference: 'Umm al-Qura: conjunction before sunset and moonset after sunset',
+    frame: 'geocentric',
+    inputs: ['lag', 'age'],
+    valueLabel: 'margin h',
+    value: ({ lag, age }) => Math.min(lag, age),
+    inclusive: false,
+    thresholds: [{ code: 'A', min: 0 }],
+    fallback: 'F',
+    visible: ['A'],
+    codes: {
+      A: { color: '#22c55e', label: 'Month may begin', description: 'Conjunction before sunset and moonset after sunset' },
+      F: { color: TRANSPARENT, label: 'Conditions not met', description: 'Conjunction or moonset after sunset' },
+    },
+  },
+}
+
+export const CRITERIA_LIST = Object.values(CRITERIA)
+
+export function getCriterion(id) {
+  return CRITERIA[id] || CRITERIA.yallop
+}
+
+export function getCodeInfo(qcode, criterionId, evening = true) {
+  const statusCodes = evening ? COMMON_CODES : MORNING_CODES
+  return getCriterion(criterionId).codes[qcode] || statusCodes[qcode] || null
+}
+
+// Codes drawn transparent on the map have no swatch, so they are left out.
+export function getLegend(criterionId, evening = true) {
+  const criterion = getCriterion(criterionId)
+  const statusCodes = evening ? COMMON_CODES : MORNING_CODES
+  return [...Object.entries(criterion.codes), ...Object.entries(statusCodes)]
+    .filter(([, info]) => info.color !== TRANSPARENT)
+    .map(([code, info]) => ({ code, ...info }))
+}
+
+export function isStatusCode(qcode) {
+  return qcode in COMMON_CODES
+}
+
+// Colour stops for a continuous ramp over the criterion value: each threshold
+// takes its code colour, fading to transparent one step below the lowest.
+export function getValueRamp(criterionId) {
+  const criterion = getCriterion(criterionId)
+  const stops = criterion.thresholds.map(({ code, min }) => [min, criterion.codes[code].color]).reverse()
+  const span = stops.length > 1 ? (stops[stops.length - 1][0] - stops[0][0]) / (stops.length - 1) : 2
+  return [[stops[0][0] - span, TRANSPARENT], ...stops]
+}
+
+export function evaluateCriterion(criterionId, params) {
+  const criterion = getCriterion(criterionId)
+  const value = criterion.value(params)
+  const match = criterion.thresholds.find(({ min }) => (criterion.inclusive ? value >= min : value > min))
+  return { value, qcode: match ? match.code : criterion.fallback }
+}
@@ -1,81 +1,406 @@
 import * as duckdb from '@duckdb/duckdb-wasm';
+import duckdbMvpWasm from '@duckdb/duckdb-wasm/dist/duckdb-mvp.wasm?url';
+import duckdbMvpWorker from '@duckdb/duckdb-wasm/dist/duckdb-browser-mvp.worker.js?url';
+import duckdbEhWasm from '@duckdb/duckdb-wasm/dist/duckdb-eh.wasm?url';
+import duckdbEhWorker from '@duckdb/duckdb-wasm/dist/duckdb-browser-eh.worker.js?url';
+import { CALCULATION_VERSION } from './calculate.js';
+import { isIndexedDBAvailable, loadSnapshot, saveSnapshot, deleteSnapshot } from './idbSnapshot.js';
+import { createMemoryCache } from './memoryCache.js';
 
 let db = null;
 let conn = null;
+let initPromise = null;
+let storageMode = 'memory';
+let persistTimer = null;
+let memoryCache = null;
+let memorySightings = null;
 
+// Served from the build output rather than a CDN so the cache also starts
+// offline and behind firewalls that block jsDelivr.
+const MANUAL_BUNDLES = {
+    mvp: { mainModule: duckdbMvpWasm, mainWorker: duckdbMvpWorker },
+    eh: { mainModule: duckdbEhWasm, mainWorker: duckdbEhWorker },
+};
+
+// The database lives in the Origin Private File System when the browser allows
+// it. Otherwise the results table is snapshotted to IndexedDB as CSV, and as a
+// last resort the cache only lasts for the session.
+const OPFS_PATH = 'opfs://hilaliqo.duckdb';
+const PERSIST_DELAY = 3000;
+
+// Bump when the columns of the results table change; older tables are dropped.
+const SCHEMA_VERSION = 2;
+
+// Continuous criterion value plus the parameters behind it (degrees, arc
+// minutes for w, hours for lag and age, epoch milliseconds for sunset and
+// moonset, which hold sunrise and moonrise in morning mode), kept so cells can
+// be re-coloured and inspected without re-running calculate().
+const NUMERIC_FIELDS = ['value', 'arcv', 'arcl', 'w', 'lag', 'age', 'sunset', 'moonset'];
+
+const RESULT_COLUMNS = {
+    id: 'VARCHAR',
+    day: 'VARCHAR',
+    elevation: 'DOUBLE',
+    criterion: 'VARCHAR',
+    evening: 'BOOLEAN',
+    version: 'INTEGER',
+    qcode: 'VARCHAR',
+    color: 'VARCHAR',
+    ...Object.fromEntries(NUMERIC_FIELDS.map(field => [field, 'DOUBLE'])),
+    cached_at: 'DOUBLE',
+};
+
+const INSERT_COLUMNS = Object.keys(RESULT_COLUMNS);
+
+// Observer reports. Unlike results they are user data: never evicted, and
+// untouched by clearing the cache or by a results schema change.
+const SIGHTING_COLUMNS = {
+    id: 'VARCHAR',
+    observer: 'VARCHAR',
+    result: 'VARCHAR',
+    instrument: 'VARCHAR',
+    sky: 'VARCHAR',
+    notes: 'VARCHAR',
+    lat: 'DOUBLE',
+    lng: 'DOUBLE',
+    elevation: 'DOUBLE',
+    observed_date: 'VARCHAR',
+    observed_at: 'DOUBLE',
+    evening: 'BOOLEAN',
+    predicted_qcode: 'VARCHAR',
+    predicted_value: 'DOUBLE',
+    created_at: 'DOUBLE',
+};
+
+// Snapshot versions per table, so a change to the results layout never
+// discards saved sightings. Only disposable tables lose an outdated snapshot.
+const TABLES = {
+    results: { columns: RESULT_COLUMNS, version: SCHEMA_VERSION, disposable: true },
+    sightings: { columns: SIGHTING_COLUMNS, version: 1, disposable: false },
+};
+
+// Sightings use camelCase fields in JS and snake_case columns in SQL.
+const toField = column => column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+// Oldest rows are evicted once the table grows past this many cells.
+export const MAX_CACHED_ROWS = 250000;
+
+const SELECT_CHUNK = 500;
+const INSERT_CHUNK = 100;
+
+const statements = new Map();
+
+async function prepared(sql) {
+    if (!statements.has(sql)) statements.set(sql, conn.prepare(sql));
+    return statements.get(sql);
+}
+
+function placeholders(count) {
+    return new Array(count).fill('?').join(', ');
+}
+
+function toNumberOrNull(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+// Everything calculate() depends on. Grid dates are UTC midnights, which
+// calculate() reads as the evening (or morning) of that day at every
+// longitude, so the UTC day identifies the results; the time of day a page
+// was opened at must not split the cache.
+export function getCacheKey({ date, elevation, criterion, evening }) {
+    return {
+        day: date.toISOString().slice(0, 10),
+        elevation,
+        criterion,
+        evening,
+        version: CALCULATION_VERSION,
+    };
+}
+
+async function startDuckDB() {
+    const bundle = await duckdb.selectBundle(MANUAL_BUNDLES);
+    const worker = new Worker(bundle.mainWorker);
+    try {
+        const logger = new duckdb.ConsoleLogger();
+        db = new duckdb.AsyncDuckDB(logger, worker);
+        await db.instantiate(bundle.mainModule, bundle.pthreadWorker);
+        await openStorage();
+        conn = await db.connect();
+        await prepareSchema();
+        if (storageMode === 'indexeddb') {
+            await restoreTable('results', 'WHERE version = ?', [CALCULATION_VERSION]);
+            await restoreTable('sightings');
+        }
+        // Rows dropped at startup (older calculation or schema versions) stay
+        // in the stored file or snapshot until it is written again.
+        schedulePersist();
+    } catch (error) {
+        worker.terminate();
+        throw error;
+    }
+}
+
+// Never rejects: if DuckDB cannot start, results are cached in a plain Map
+// instead so the map keeps working.
 export async function initDB() {
-    if (db) return { db, conn };
+    if (!initPromise) {
+        initPromise = startDuckDB().catch(error => {
+            console.warn('DuckDB failed to start, caching results in memory for this session', error);
+            db = null;
+            conn = null;
+            storageMode = 'fallback';
+            memoryCache = createMemoryCache(MAX_CACHED_ROWS);
+            memorySightings = new Map();
+        }).then(() => ({ db, conn }));
+    }
+    return initPromise;
+}
 
-    const JSDELIVR_BUNDLES = duckdb.getJsDelivrBundles();
-    const bundle = await duckdb.selectBundle(JSDELIVR_BUNDLES);
-    
-    const worker_url = URL.createObjectURL(
-        new Blob([`importScripts("${bundle.mainWorker}");`], { type: 'text/javascript' })
-    );
+async function openStorage() {
+    if (navigator.storage?.getDirectory) {
+        try {
+            await db.open({ path: OPFS_PATH, accessMode: duckdb.DuckDBAccessMode.READ_WRITE });
+            storageMode = 'opfs';
+            return;
+        } catch (error) {
+            // Another tab holding the file lands here too.
+            console.warn('OPFS storage unavailable, falling back', error);
+        }
+    }
+    storageMode = isIndexedDBAvailable() ? 'indexeddb' : 'memory';
+}
 
-    const worker = new Worker(worker_url);
-    const logger = new duckdb.ConsoleLogger();
-    db = new duckdb.AsyncDuckDB(logger, worker);
-    await db.instantiate(bundle.mainModule, bundle.pthreadWorker);
-    conn = await db.connect();
+async function prepareSchema() {
+    await conn.query('CREATE TABLE IF NOT EXISTS meta (key VARCHAR PRIMARY KEY, value VARCHAR)');
+    const meta = await conn.query(`SELECT value FROM meta WHERE key = 'schema_version'`);
+    if (meta.toArray()[0]?.value !== String(SCHEMA_VERSION)) {
+        await conn.query('DROP TABLE IF EXISTS results');
+    }
 
     await conn.query(`
         CREATE TABLE IF NOT EXISTS results (
-            id VARCHAR,
-            date VARCHAR,
-            elevation DOUBLE,
-            qcode VARCHAR,
-            color VARCHAR,
-            PRIMARY KEY (id, date, elevation)
+            ${Object.entries(RESULT_COLUMNS).map(([name, type]) => `${name} ${type}`).join(',\n            ')},
+            PRIMARY KEY (id, day, elevation, criterion, evening, version)
+        )
+    `);
+    await conn.query(`INSERT OR REPLACE INTO meta VALUES ('schema_version', '${SCHEMA_VERSION}')`);
+    await conn.query(`
+        CREATE TABLE IF NOT EXISTS sightings (
+            ${Object.entries(SIGHTING_COLUMNS).map(([name, type]) => `${name} ${type}`).join(',\n            ')},
+            PRIMARY KEY (id)
         )
     `);
 
-    return { db, conn };
+    const cleanup = await prepared('DELETE FROM results WHERE version <> ?');
+    await cleanup.query(CALCULATION_VERSION);
 }
 
-export async function getCachedResults(ids, date, elevation) {
-    if (!conn) await initDB();
-    const dateStr = date.toISOString().split('T')[0];
-    
-    // Split into chunks if too many ids to avoid SQL length limits
-    const chunkSize = 500;
-    let allResults = [];
-    
-    for (let i = 0; i < ids.length; i += chunkSize) {
-        const chunk = ids.slice(i, i + chunkSize);
-        const idsStr = chunk.map(id => `'${id}'`).join(',');
-        
-        const result = await conn.query(`
-            SELECT * FROM results 
-            WHERE id IN (${idsStr}) 
-            AND date = '${dateStr}' 
-            AND elevation = ${elevation}
+// Each table has its own IndexedDB snapshot, so saving a report does not
+// rewrite the whole result cache.
+async function restoreTable(table, filter = '', params = []) {
+    const file = `${table}-snapshot.csv`;
+    try {
+        const snapshot = await loadSnapshot(table);
+        if (!snapshot) return;
+        if (snapshot.schemaVersion !== TABLES[table].version) {
+            // Its rows could never be read again (e.g. results keyed on the
+            // full timestamp before schema version 2).
+            if (TABLES[table].disposable) await deleteSnapshot(table);
+            return;
+        }
+        await db.registerFileBuffer(file, new Uint8Array(snapshot.data));
+        const columns = Object.entries(TABLES[table].columns).map(([name, type]) => `'${name}': '${type}'`).join(', ');
+        const restore = await conn.prepare(`
+            INSERT OR IGNORE INTO ${table}
+            SELECT * FROM read_csv('${file}', header = true, delim = ',', quote = '"', escape = '"', columns = {${columns}})
+            ${filter}
         `);
-        
-        allResults = allResults.concat(result.toArray().map(row => ({
-            id: row.id,
-            qcode: row.qcode,
-            color: row.color
-        })));
+        await restore.query(...params);
+        await restore.close();
+        await db.dropFile(file);
+    } catch (error) {
+        console.warn(`Could not restore ${table} from IndexedDB`, error);
+    }
+}
+
+async function persist(tables) {
+    if (storageMode === 'opfs') {
+        await conn.query('CHECKPOINT');
+    } else if (storageMode === 'indexeddb') {
+        for (const table of tables) {
+            const file = `${table}-snapshot.csv`;
+            await conn.query(`COPY ${table} TO '${file}' (FORMAT CSV, HEADER)`);
+            const data = await db.copyFileToBuffer(file);
+            await db.dropFile(file);
+            await saveSnapshot(table, { schemaVersion: TABLES[table].version, data });
+        }
+    }
+}
+
+function schedulePersist() {
+    if (storageMode === 'memory') return;
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => {
+        persist(['results']).catch(error => console.error('Persisting the result cache failed', error));
+    }, PERSIST_DELAY);
+}
+
+export function getStorageMode() {
+    return storageMode;
+}
+
+export async function getCachedResults(ids, settings) {
+    await initDB();
+    const key = getCacheKey(settings);
+    if (memoryCache) return memoryCache.get(ids, key);
+
+    // Every chunk is padded to the same length so a single prepared statement serves them all.
+    const statement = await prepared(`
+        SELECT * FROM results
+        WHERE id IN (${placeholders(SELECT_CHUNK)})
+        AND day = ? AND elevation = ? AND criterion = ? AND evening = ? AND version = ?
+    `);
+    let allResults = [];
+
+    for (let i = 0; i < ids.length; i += SELECT_CHUNK) {
+        const chunk = ids.slice(i, i + SELECT_CHUNK);
+        const padded = chunk.concat(new Array(SELECT_CHUNK - chunk.length).fill(chunk[0]));
+        const result = await statement.query(...padded, key.day, key.elevation, key.criterion, key.evening, key.version);
+
+        allResults = allResults.concat(result.toArray().map(row => {
+            const cached = { id: row.id, qcode: row.qcode, color: row.color };
+            NUMERIC_FIELDS.forEach(field => { cached[field] = row[field]; });
+            return cached;
+        }));
     }
-    
+
     return allResults;
 }
 
-export async function cacheResults(results, date, elevation) {
-    if (!conn) await initDB();
-    const dateStr = date.toISOString().split('T')[0];
-    
-    // Use a batch insert for better performance
+export async function cacheResults(results, settings) {
+    await initDB();
     if (results.length === 0) return;
-    
-    // Create a temporary table or use multiple values
-    const values = results.map(res => 
-        `('${res.id}', '${dateStr}', ${elevation}, '${res.qcode}', '${res.color}')`
-    ).join(',');
-    
-    await conn.query(`
-        INSERT OR IGNORE INTO results (id, date, elevation, qcode, color)
-        VALUES ${values}
+    const key = getCacheKey(settings);
+    if (memoryCache) {
+        memoryCache.put(results, key);
+        return;
+    }
+    const cachedAt = Date.now();
+
+    const rowValues = res => [
+        res.id, key.day, key.elevation, key.criterion, key.evening, key.version,
+        res.qcode, res.color, ...NUMERIC_FIELDS.map(field => toNumberOrNull(res[field])), cachedAt,
+    ];
+    const insertSql = rows => `
+        INSERT OR IGNORE INTO results (${INSERT_COLUMNS.join(', ')})
+        VALUES ${new Array(rows).fill(`(${placeholders(INSERT_COLUMNS.length)})`).join(', ')}
+    `;
+
+    const fullChunks = Math.floor(results.length / INSERT_CHUNK) * INSERT_CHUNK;
+    if (fullChunks > 0) {
+        const statement = await prepared(insertSql(INSERT_CHUNK));
+        for (let i = 0; i < fullChunks; i += INSERT_CHUNK) {
+            await statement.query(...results.slice(i, i + INSERT_CHUNK).flatMap(rowValues));
+        }
+    }
+    if (fullChunks < results.length) {
+        const statement = await prepared(insertSql(1));
+        for (const res of results.slice(fullChunks)) {
+            await statement.query(...rowValues(res));
+        }
+    }
+
+    await evictOldResults();
+    schedulePersist();
+}
+
+async function evictOldResults() {
+    const count = await conn.query('SELECT count(*) AS rows FROM results');
+    const excess = Number(count.toArray()[0].rows) - MAX_CACHED_ROWS;
+    if (excess <= 0) return;
+    const statement = await prepared(`
+        DELETE FROM results WHERE rowid IN (
+            SELECT rowid FROM results ORDER BY cached_at LIMIT ?
+        )
     `);
+    await statement.query(excess);
+}
+
+// Row counts per cache key, newest first, for the cache panel.
+export async function getCacheStats() {
+    await initDB();
+    if (memoryCache) return summarizeGroups(memoryCache.groups());
+    const result = await conn.query(`
+        SELECT day, criterion, evening, elevation, version, count(*) AS rows, max(cached_at) AS cached_at
+        FROM results
+        GROUP BY day, criterion, evening, elevation, version
+        ORDER BY cached_at DESC
+    `);
+    return summarizeGroups(result.toArray().map(row => ({
+        day: row.day,
+        criterion: row.criterion,
+        evening: row.evening,
+        elevation: row.elevation,
+        version: row.version,
+        rows: Number(row.rows),
+    })));
+}
+
+function summarizeGroups(groups) {
+    return {
+        rows: groups.reduce((sum, group) => sum + group.rows, 0),
+        maxRows: MAX_CACHED_ROWS,
+        storage: storageMode,
+        groups: groups.map(group => ({ ...group, stale: group.version !== CALCULATION_VERSION })),
+    };
+}
+
+export async function clearCache() {
+    await initDB();
+    if (memoryCache) {
+        memoryCache.clear();
+        return;
+    }
+    await conn.query('DELETE FROM results');
+    if (storageMode === 'indexeddb') {
+        clearTimeout(persistTimer);
+        await deleteSnapshot('results');
+    } else {
+        schedulePersist();
+    }
+}
+
+export async function getSightings() {
+    await initDB();
+    if (memorySightings) return [...memorySightings.values()].sort((a, b) => b.observedAt - a.observedAt);
+    const result = await conn.query('SELECT * FROM sightings ORDER BY observed_at DESC');
+    return result.toArray().map(row => Object.fromEntries(
+        Object.keys(SIGHTING_COLUMNS).map(column => [toField(column), row[column]])
+    ));
+}
+
+export async function addSighting(sighting) {
+    await initDB();
+    if (memorySightings) {
+        memorySightings.set(sighting.id, sighting);
+        return;
+    }
+    const columns = Object.keys(SIGHTING_COLUMNS);
+    const statement = await prepared(`
+        INSERT OR REPLACE INTO sightings (${columns.join(', ')})
+        VALUES (${placeholders(columns.length)})
+    `);
+    await statement.query(...columns.map(column => sighting[toField(column)] ?? null));
+    await persist(['sightings']);
+}
+
+export async function deleteSighting(id) {
+    await initDB();
+    if (memorySightings) {
+        memorySightings.delete(id);
+        return;
+    }
+    const statement = await prepared('DELETE FROM sightings WHERE id = ?');
+    await statement.query(id);
+    await persist(['sightings']);
 }
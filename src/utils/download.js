@@ -0,0 +1,9 @@
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = url
+  link.click()
+  // Revoke after the click has been handled so the download can start.
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
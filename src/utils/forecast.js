@@ -0,0 +1,147 @@
+import { calculate } from './calculate.js'
+import { getCriterion, getCodeInfo } from './criteria.js'
+import { getUpcomingConjunctions, getCrescentEvenings } from './crescentFinder.js'
+import { getHijriDate, getCalendarPolicy } from './hijriCalendar.js'
+
+// Crescent forecast for one location over the coming lunar months: the
+// conjunction, the code and moon age on the 29th and 30th evenings (the
+// conjunction day and the day after, see getCrescentEvenings) and the first
+// day of the month predicted by the selected calendar policy.
+
+const ONE_DAY = 24 * 60 * 60 * 1000
+const ONE_HOUR = 60 * 60 * 1000
+
+function forecastEvening({ label, date }, conjunction, { lat, lng, elevation, criterion }) {
+  const details = calculate(lat, lng, elevation, date, { criterion, evening: true })
+  const sunset = details.sunsetSunrise ?? null
+  return {
+    label,
+    date,
+    qcode: details.qcode,
+    codeLabel: getCodeInfo(details.qcode, criterion, true)?.label ?? details.qcode,
+    visible: getCriterion(criterion).visible.includes(details.qcode),
+    sunset,
+    moonset: details.moonsetMoonrise ?? null,
+    // Relative to this conjunction; negative when the sun sets before it.
+    ageHours: sunset ? (sunset.getTime() - conjunction.getTime()) / ONE_HOUR : null,
+  }
+}
+
+// `settings`: { lat, lng, elevation, criterion, policy }. The local policy
+// uses the same place and criterion.
+export async function getCrescentForecast(date, settings, months = 12) {
+  const { lat, lng, elevation, criterion, policy } = settings
+  const options = { coords: [lat, lng], elevation, criterion }
+  const rows = []
+  for (const conjunction of getUpcomingConjunctions(date, months)) {
+    const [eve29, eve30] = getCrescentEvenings(conjunction)
+    // The month a conjunction opens starts one to four days after it.
+    const month = await getHijriDate(new Date(eve29.day.getTime() + 4 * ONE_DAY), policy, options)
+    rows.push({
+      conjunction,
+      evenings: [eve29, eve30].map((evening) => forecastEvening(evening, conjunction, settings)),
+      month,
+      firstDay: month?.monthStart ?? null,
+    })
+  }
+  return { rows, settings: { ...settings, from: date, policyLabel: getCalendarPolicy(policy).label } }
+}
+
+function icsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '')
+}
+
+function icsDateTime(date) {
+  return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`
+}
+
+function icsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545 3.1).
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line)
+  if (bytes.length <= 75) return line
+  const parts = []
+  let current = ''
+  let size = 0
+  for (const char of line) {
+    const length = new TextEncoder().encode(char).length
+    if (size + length > (parts.length ? 74 : 75)) {
+      parts.push(current)
+      current = ''
+      size = 0
+    }
+    current += char
+    size += length
+  }
+  parts.push(current)
+  return parts.join('\r\n ')
+}
+
+function formatHours(hours) {
+  return Number.isFinite(hours) ? `${hours.toFixed(1)} h` : 'n/a'
+}
+
+// All-day events for the predicted month starts, and a one-hour event from
+// sunset on each sighting evening with a reminder 30 minutes before.
+export function forecastToICS({ rows, settings }, placeName) {
+  const { lat, lng, criterion, policyLabel } = settings
+  const place = `${lat.toFixed(3)},${lng.toFixed(3)}`
+  const stamp = icsDateTime(new Date())
+  const criterionLabel = getCriterion(criterion).label
+  const events = []
+
+  rows.forEach(({ conjunction, evenings, month, firstDay }) => {
+    const monthTitle = month ? `${month.monthName} ${month.year}` : 'new month'
+    if (firstDay) {
+      events.push([
+        'BEGIN:VEVENT',
+        `UID:month-${icsDate(firstDay)}-${place}@hilaliqo`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(firstDay)}`,
+        `DTEND;VALUE=DATE:${icsDate(new Date(firstDay.getTime() + ONE_DAY))}`,
+        `SUMMARY:${icsText(`1 ${monthTitle} (predicted)`)}`,
+        `DESCRIPTION:${icsText(`Predicted by ${policyLabel}. Conjunction ${conjunction.toISOString().slice(0, 16).replace('T', ' ')} UTC.`)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      ])
+    }
+    evenings.forEach((evening) => {
+      if (!evening.sunset) return
+      events.push([
+        'BEGIN:VEVENT',
+        `UID:sighting-${icsDate(evening.date)}-${place}@hilaliqo`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDateTime(evening.sunset)}`,
+        'DURATION:PT1H',
+        `SUMMARY:${icsText(`Hilal sighting, ${evening.label} before ${monthTitle}`)}`,
+        `DESCRIPTION:${icsText([
+          `${criterionLabel}: ${evening.qcode} - ${evening.codeLabel}.`,
+          `Moon age at sunset ${formatHours(evening.ageHours)}.`,
+          evening.moonset ? `Moonset ${evening.moonset.toISOString().slice(11, 16)} UTC.` : '',
+        ].filter(Boolean).join(' '))}`,
+        `LOCATION:${icsText(placeName || place)}`,
+        `GEO:${lat.toFixed(6)};${lng.toFixed(6)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${icsText(`Hilal sighting at sunset (${evening.label})`)}`,
+        'TRIGGER:-PT30M',
+        'END:VALARM',
+        'END:VEVENT',
+      ])
+    })
+  })
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Hilal-liqo//Crescent forecast//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(`Crescent forecast - ${placeName || place}`)}`,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].map(foldLine).join('\r\n') + '\r\n'
+}
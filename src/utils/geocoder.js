@@ -1,4 +1,5 @@
 export function geocode([lng, lat]) {
+  if (!navigator.onLine) return Promise.reject(new Error('Offline'))
   const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lng}`
   return fetch(url)
     .then((response) => response.json())
@@ -0,0 +1,182 @@
+import * as h3 from 'h3-js'
+import { getCodeInfo, isStatusCode } from './criteria.js'
+
+// Conversions of computed grid cells (worker results keyed by H3 id) to map
+// features and to the GeoJSON, CSV and GeoTIFF data exports.
+
+export function getAntimeridianSafeFeature(h3Id, properties) {
+  const boundary = h3.cellToBoundary(h3Id)
+  const lngs = boundary.map(b => b[1])
+  let crosses = false
+  for (let i = 0; i < lngs.length; i++) {
+    const next = lngs[(i + 1) % lngs.length]
+    if (Math.abs(lngs[i] - next) > 180) { crosses = true; break }
+  }
+  if (!crosses) {
+    const coords = boundary.map(b => [b[1], b[0]])
+    coords.push(coords[0])
+    return { type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [coords] } }
+  }
+  const leftCoords = boundary.map(b => [b[1] < 0 ? b[1] + 360 : b[1], b[0]])
+  const rightCoords = boundary.map(b => [b[1] > 0 ? b[1] - 360 : b[1], b[0]])
+  leftCoords.push(leftCoords[0]); rightCoords.push(rightCoords[0])
+  return { type: 'Feature', properties, geometry: { type: 'MultiPolygon', coordinates: [[leftCoords], [rightCoords]] } }
+}
+
+const PARAM_FIELDS = ['value', 'arcv', 'arcl', 'w', 'lag', 'age']
+
+function toIso(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null
+}
+
+function describeCell(res, { date, elevation, criterion, evening }) {
+  const [lat, lng] = h3.cellToLatLng(res.id)
+  return {
+    id: res.id,
+    lat, lng,
+    qcode: res.qcode,
+    label: getCodeInfo(res.qcode, criterion, evening)?.label ?? '',
+    ...Object.fromEntries(PARAM_FIELDS.map((field) => [field, Number.isFinite(res[field]) ? res[field] : null])),
+    sunset: toIso(res.sunset),
+    moonset: toIso(res.moonset),
+    criterion,
+    date: date.toISOString(),
+    mode: evening ? 'evening' : 'morning',
+    elevation,
+  }
+}
+
+export function gridToGeoJSON(results, settings) {
+  return {
+    type: 'FeatureCollection',
+    features: results.map((res) => {
+      const { lat, lng, ...properties } = describeCell(res, settings)
+      return getAntimeridianSafeFeature(res.id, properties)
+    }),
+  }
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// In morning mode the sunset/moonset columns hold sunrise/moonrise, as in the cache.
+export function gridToCSV(results, settings) {
+  const rows = results.map((res) => describeCell(res, settings))
+  const columns = rows.length ? Object.keys(rows[0]) : ['id']
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => csvField(row[column])).join(','))].join('\n')
+}
+
+// Degrees per raster pixel for each H3 resolution, roughly a quarter of a cell edge.
+const RASTER_STEP = { 0: 1, 1: 0.5, 2: 0.2, 3: 0.1, 4: 0.05, 5: 0.02 }
+// Every pixel is an h3.latLngToCell call on the main thread and 4 bytes, so
+// wide views at fine resolutions are sampled more coarsely than RASTER_STEP.
+export const MAX_RASTER_PIXELS = 4000000
+
+function rasterExtent(bounds, step) {
+  const west = Math.floor(bounds.getWest() / step) * step
+  const east = Math.ceil(bounds.getEast() / step) * step
+  const north = Math.ceil(Math.min(85, bounds.getNorth()) / step) * step
+  const south = Math.floor(Math.max(-85, bounds.getSouth()) / step) * step
+  return { west, north, width: Math.round((east - west) / step), height: Math.round((north - south) / step) }
+}
+
+// Samples the criterion value of the displayed cells onto a regular lat/lng
+// grid. Missing cells and status codes (no meaningful value) are NaN.
+// `coarsened` is set when the step had to grow to stay under MAX_RASTER_PIXELS.
+export function gridToRaster(results, bounds, res) {
+  const baseStep = RASTER_STEP[res] ?? 0.5
+  let step = baseStep
+  let extent = rasterExtent(bounds, step)
+  while (extent.width * extent.height > MAX_RASTER_PIXELS) {
+    step *= 2
+    extent = rasterExtent(bounds, step)
+  }
+  const { west, north, width, height } = extent
+  const byId = new Map(results.map((r) => [r.id, r]))
+  const values = new Float32Array(width * height).fill(NaN)
+  for (let row = 0; row < height; row++) {
+    const lat = north - (row + 0.5) * step
+    for (let col = 0; col < width; col++) {
+      const lng = ((((west + (col + 0.5) * step) + 180) % 360) + 360) % 360 - 180
+      const cell = byId.get(h3.latLngToCell(lat, lng, res))
+      if (cell && Number.isFinite(cell.value) && !isStatusCode(cell.qcode)) values[row * width + col] = cell.value
+    }
+  }
+  return { width, height, west, north, step, values, coarsened: step > baseStep }
+}
+
+// Minimal single-band Float32 GeoTIFF in EPSG:4326: one uncompressed strip,
+// little-endian, with GDAL_NODATA set to NaN.
+export function rasterToGeoTIFF({ width, height, west, north, step, values }) {
+  const ascii = (text) => [...text].map((c) => c.charCodeAt(0)).concat(0)
+  const geoKeys = [1, 1, 0, 3, 1024, 0, 1, 2, 1025, 0, 1, 1, 2048, 0, 1, 4326]
+  const SHORT = 3, LONG = 4, DOUBLE = 12, ASCII = 2
+  const SIZES = { [SHORT]: 2, [LONG]: 4, [DOUBLE]: 8, [ASCII]: 1 }
+  const imageBytes = width * height * 4
+
+  const tags = [
+    [256, LONG, [width]],
+    [257, LONG, [height]],
+    [258, SHORT, [32]],
+    [259, SHORT, [1]],
+    [262, SHORT, [1]],
+    [273, LONG, [0]], // patched below once the layout is known
+    [277, SHORT, [1]],
+    [278, LONG, [height]],
+    [279, LONG, [imageBytes]],
+    [284, SHORT, [1]],
+    [339, SHORT, [3]],
+    [33550, DOUBLE, [step, step, 0]],
+    [33922, DOUBLE, [0, 0, 0, west, north, 0]],
+    [34735, SHORT, geoKeys],
+    [42113, ASCII, ascii('nan')],
+  ]
+
+  const ifdOffset = 8
+  const ifdSize = 2 + tags.length * 12 + 4
+  let extraOffset = ifdOffset + ifdSize
+  const layout = tags.map(([tag, type, data]) => {
+    const size = SIZES[type] * data.length
+    const entry = { tag, type, data, size, offset: null }
+    if (size > 4) {
+      entry.offset = extraOffset
+      extraOffset += size + (size % 2)
+    }
+    return entry
+  })
+  const imageOffset = extraOffset
+  layout.find((entry) => entry.tag === 273).data = [imageOffset]
+
+  const buffer = new ArrayBuffer(imageOffset + imageBytes)
+  const view = new DataView(buffer)
+  view.setUint8(0, 0x49); view.setUint8(1, 0x49)
+  view.setUint16(2, 42, true)
+  view.setUint32(4, ifdOffset, true)
+  view.setUint16(ifdOffset, layout.length, true)
+
+  const writeValues = (offset, type, data) => {
+    data.forEach((value, i) => {
+      if (type === SHORT) view.setUint16(offset + i * 2, value, true)
+      else if (type === LONG) view.setUint32(offset + i * 4, value, true)
+      else if (type === DOUBLE) view.setFloat64(offset + i * 8, value, true)
+      else view.setUint8(offset + i, value)
+    })
+  }
+  layout.forEach((entry, i) => {
+    const at = ifdOffset + 2 + i * 12
+    view.setUint16(at, entry.tag, true)
+    view.setUint16(at + 2, entry.type, true)
+    view.setUint32(at + 4, entry.data.length, true)
+    if (entry.offset === null) writeValues(at + 8, entry.type, entry.data)
+    else {
+      view.setUint32(at + 8, entry.offset, true)
+      writeValues(entry.offset, entry.type, entry.data)
+    }
+  })
+  view.setUint32(ifdOffset + 2 + layout.length * 12, 0, true)
+  values.forEach((value, i) => view.setFloat32(imageOffset + i * 4, value, true))
+  return buffer
+}
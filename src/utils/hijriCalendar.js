@@ -0,0 +1,235 @@
+import * as Astronomy from 'astronomy-engine'
+import { getCriterion } from './criteria.js'
+import { findNextConjunction, getSummaryPoints } from './crescentFinder.js'
+import { getWorkerPool } from './workerPool.js'
+
+// Hijri dates from predicted month starts under a calendar policy.
+//
+// A sighting-based month begins the day after the first evening, from the
+// conjunction day on, on which the policy's criterion is met at one of its
+// places, and never later than day 31 of the previous month (istikmal: a
+// month has 29 or 30 days). Month numbers and years come from the tabular
+// calendar, which is at most a couple of days off any of the policies: the
+// predicted start is matched to the nearest tabular month start.
+
+export const HIJRI_MONTHS = [
+  'Muharram', 'Safar', 'Rabiʻ I', 'Rabiʻ II', 'Jumada I', 'Jumada II',
+  'Rajab', 'Shaʻban', 'Ramadan', 'Shawwal', 'Dhuʻl-Qiʻdah', 'Dhuʻl-Hijjah',
+]
+
+export const CALENDAR_POLICIES = [
+  { id: 'local', label: 'Local sighting', description: 'Crescent visible at the selected location under the selected criterion' },
+  { id: 'global', label: 'Global unified (KHGT)', description: 'Altitude ≥ 5° and elongation ≥ 8° at sunset anywhere before 24:00 UTC, or later in the Americas if the conjunction is before dawn in New Zealand' },
+  { id: 'mabims', label: 'MABIMS', description: 'Altitude ≥ 3° and elongation ≥ 6.4° at sunset in Brunei, Indonesia, Malaysia or Singapore' },
+  { id: 'ummalqura', label: 'Umm al-Qura', description: 'At Mecca, conjunction before sunset and moonset after sunset' },
+  { id: 'tabular', label: 'Tabular', description: 'Arithmetic 30-year cycle, no astronomy (as the civil Islamic calendar in most software)' },
+]
+
+const ONE_DAY = 24 * 60 * 60 * 1000
+const MECCA = { id: 'mecca', lat: 21.4225, lng: 39.8262 }
+const MABIMS_PLACES = [
+  { id: 'banda-aceh', lat: 5.55, lng: 95.32 },
+  { id: 'jakarta', lat: -6.2, lng: 106.85 },
+  { id: 'kuala-lumpur', lat: 3.14, lng: 101.69 },
+  { id: 'singapore', lat: 1.35, lng: 103.82 },
+  { id: 'bandar-seri-begawan', lat: 4.89, lng: 114.94 },
+]
+const WELLINGTON = new Astronomy.Observer(-41.29, 174.78, 0)
+// Longitudes treated as "the Americas" for the KHGT exception.
+const AMERICAS = [-170, -30]
+// Evenings tried after the conjunction day before falling back to istikmal.
+const MAX_EVENINGS = 3
+
+export function getCalendarPolicy(id) {
+  return CALENDAR_POLICIES.find((policy) => policy.id === id) || CALENDAR_POLICIES[0]
+}
+
+// Tabular (civil) calendar, leap years 2, 5, 7, 10, 13, 16, 18, 21, 24, 26
+// and 29 of each 30-year cycle; epoch 16 July 622 (Julian).
+const TABULAR_EPOCH = 1948439.5
+const UNIX_EPOCH_JD = 2440587.5
+
+function tabularToJD(year, month, day) {
+  return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1
+}
+
+function tabularFromDay(day) {
+  const jd = day.getTime() / ONE_DAY + UNIX_EPOCH_JD
+  const year = Math.floor((30 * (jd - TABULAR_EPOCH) + 10646) / 10631)
+  const month = Math.min(12, Math.ceil((jd - (29 + tabularToJD(year, 1, 1))) / 29.5) + 1)
+  return { year, month, day: Math.round(jd - tabularToJD(year, month, 1)) + 1 }
+}
+
+function tabularMonthStart(year, month) {
+  return new Date(Math.round((tabularToJD(year, month, 1) - UNIX_EPOCH_JD) * ONE_DAY))
+}
+
+function shiftMonth(year, month, delta) {
+  const index = year * 12 + (month - 1) + delta
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 }
+}
+
+function utcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+}
+
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return
+  const error = new Error('Calendar cancelled')
+  error.name = 'AbortError'
+  throw error
+}
+
+async function evaluate(points, day, criterion, elevation = 0, requestId = null) {
+  const results = await getWorkerPool().run({ points, elevation, date: day, options: { criterion, evening: true } }, { requestId })
+  const { visible } = getCriterion(criterion)
+  return results.filter((res) => visible.includes(res.qcode))
+}
+
+async function eveningQualifies(policy, day, conjunction, options) {
+  const { requestId } = options
+  if (policy === 'local') {
+    const [lat, lng] = options.coords
+    return (await evaluate([{ id: 'local', lat, lng }], day, options.criterion, options.elevation, requestId)).length > 0
+  }
+  if (policy === 'mabims') return (await evaluate(MABIMS_PLACES, day, 'mabims', 0, requestId)).length > 0
+  if (policy === 'ummalqura') return (await evaluate([MECCA], day, 'ummalqura', 0, requestId)).length > 0
+
+  const midnight = day.getTime() + ONE_DAY
+  const hits = await evaluate(getSummaryPoints(), day, 'khgt', 0, requestId)
+  if (hits.some((res) => res.sunset < midnight)) return true
+  const dawn = Astronomy.SearchAltitude(Astronomy.Body.Sun, WELLINGTON, +1, new Date(day.getTime() + ONE_DAY / 2), 1, -18)
+  const beforeDawn = dawn && conjunction < dawn.date
+  return beforeDawn && hits.some((res) => {
+    const lng = Number(res.id.split(',')[1])
+    return lng >= AMERICAS[0] && lng <= AMERICAS[1]
+  })
+}
+
+function cacheKey(policy, conjunction, options) {
+  const place = policy === 'local' ? `|${options.coords.map((v) => v.toFixed(3)).join(',')}|${options.elevation}|${options.criterion}` : ''
+  return `${policy}|${conjunction.getTime()}${place}`
+}
+
+// Raw predicted starts, one promise per policy, conjunction and place. The
+// local policy adds entries for every place visited, so the least recently
+// used ones are dropped past START_CACHE_SIZE.
+const START_CACHE_SIZE = 48
+const startCache = new Map()
+
+// A prediction runs under the `requestId` and `signal` of the caller that
+// started it. If that caller cancels, the entry is dropped and anyone else
+// waiting on it starts over under their own.
+function predictStart(policy, conjunction, options) {
+  throwIfAborted(options.signal)
+  const key = cacheKey(policy, conjunction, options)
+  let promise = startCache.get(key)
+  if (promise) {
+    startCache.delete(key)
+  } else {
+    promise = (async () => {
+      const conjunctionDay = utcDay(conjunction)
+      for (let i = 0; i < MAX_EVENINGS; i++) {
+        throwIfAborted(options.signal)
+        const day = new Date(conjunctionDay.getTime() + i * ONE_DAY)
+        if (await eveningQualifies(policy, day, conjunction, options)) return new Date(day.getTime() + ONE_DAY)
+      }
+      return new Date(conjunctionDay.getTime() + MAX_EVENINGS * ONE_DAY)
+    })()
+    promise.catch(() => {
+      if (startCache.get(key) === promise) startCache.delete(key)
+    })
+  }
+  startCache.set(key, promise)
+  if (startCache.size > START_CACHE_SIZE) startCache.delete(startCache.keys().next().value)
+  return promise.catch((error) => {
+    if (error.name !== 'AbortError' || options.signal?.aborted) throw error
+    return predictStart(policy, conjunction, options)
+  })
+}
+
+// The conjunction that opens a month is at most a few days before its
+// start, and the tabular start is at most two days off.
+function conjunctionFor(year, month) {
+  return findNextConjunction(new Date(tabularMonthStart(year, month).getTime() - 4 * ONE_DAY))
+}
+
+export async function getMonthStart(year, month, policy, options = {}) {
+  if (policy === 'tabular') return tabularMonthStart(year, month)
+  const previous = shiftMonth(year, month, -1)
+  const [start, previousStart] = await Promise.all([
+    predictStart(policy, conjunctionFor(year, month), options),
+    predictStart(policy, conjunctionFor(previous.year, previous.month), options),
+  ])
+  const earliest = previousStart.getTime() + 29 * ONE_DAY, latest = previousStart.getTime() + 30 * ONE_DAY
+  return new Date(Math.min(latest, Math.max(earliest, start.getTime())))
+}
+
+// `options`: { coords, elevation, criterion } for the local policy. Resolves
+// to null when the policy cannot be applied (local without a location).
+export async function getHijriDate(date, policy, options = {}) {
+  if (policy === 'local' && !options.coords) return null
+  const day = utcDay(date)
+  const tabular = tabularFromDay(day)
+  const months = [-1, 0, 1].map((delta) => shiftMonth(tabular.year, tabular.month, delta))
+  const starts = await Promise.all(months.map(({ year, month }) => getMonthStart(year, month, policy, options)))
+  const index = starts[1] <= day ? 1 : 0
+  const next = index === 1 ? starts[2] : starts[1]
+  if (index === 1 && next <= day) {
+    const following = shiftMonth(months[2].year, months[2].month, 1)
+    const nextStart = await getMonthStart(following.year, following.month, policy, options)
+    return describe(policy, months[2], starts[2], nextStart, day)
+  }
+  return describe(policy, months[index], starts[index], next, day)
+}
+
+function describe(policy, { year, month }, start, nextStart, day) {
+  return {
+    policy,
+    year, month,
+    day: Math.round((day - start) / ONE_DAY) + 1,
+    monthName: HIJRI_MONTHS[month - 1],
+    monthStart: start,
+    monthLength: Math.round((nextStart - start) / ONE_DAY),
+  }
+}
+
+// Days from the date to the next 1st of `month` (0 on the day itself).
+export async function getDaysUntilMonth(date, month, policy, options = {}) {
+  const hijri = await getHijriDate(date, policy, options)
+  if (!hijri) return null
+  const day = utcDay(date)
+  let start = await getMonthStart(hijri.year, month, policy, options)
+  if (start < day) start = await getMonthStart(hijri.year + 1, month, policy, options)
+  return { days: Math.round((start - day) / ONE_DAY), start }
+}
+
+// The date and next 1 Ramadan under every policy; `agrees` compares each
+// with the selected policy. `signal` stops the predictions and cancels their
+// pool jobs, which run under `requestId`.
+export async function compareCalendarPolicies(date, selected, options = {}, { requestId = null, signal } = {}) {
+  const onAbort = () => {
+    if (requestId !== null) getWorkerPool().cancel(requestId)
+  }
+  signal?.addEventListener('abort', onAbort)
+  const run = { ...options, requestId, signal }
+  let rows
+  try {
+    rows = await Promise.all(CALENDAR_POLICIES.map(async (policy) => {
+      const [hijri, ramadan] = await Promise.all([
+        getHijriDate(date, policy.id, run),
+        getDaysUntilMonth(date, 9, policy.id, run),
+      ])
+      return { ...policy, hijri, ramadan }
+    }))
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+  }
+  const reference = rows.find((row) => row.id === selected)?.hijri
+  return rows.map((row) => ({
+    ...row,
+    agrees: !reference || !row.hijri || (
+      row.hijri.day === reference.day && row.hijri.month === reference.month && row.hijri.year === reference.year
+    ),
+  }))
+}
@@ -0,0 +1,44 @@
+// Minimal IndexedDB key/value store for database snapshots, used when the
+// browser cannot give DuckDB an Origin Private File System file.
+
+const DB_NAME = 'hilaliqo'
+const STORE_NAME = 'snapshots'
+
+function openStore() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function withStore(mode, action) {
+  const idb = await openStore()
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = idb.transaction(STORE_NAME, mode)
+      const request = action(transaction.objectStore(STORE_NAME))
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  } finally {
+    idb.close()
+  }
+}
+
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined'
+}
+
+export function loadSnapshot(key) {
+  return withStore('readonly', (store) => store.get(key))
+}
+
+export function saveSnapshot(key, snapshot) {
+  return withStore('readwrite', (store) => store.put(snapshot, key))
+}
+
+export function deleteSnapshot(key) {
+  return withStore('readwrite', (store) => store.delete(key))
+}
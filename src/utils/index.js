@@ -1,5 +1,8 @@
 export { calculate, getCellColor } from './calculate.js'
+export { CRITERIA, CRITERIA_LIST, getCriterion, getCodeInfo, getLegend, getValueRamp, isStatusCode } from './criteria.js'
 export { getMoonImageURLs } from './moonNow.js'
+export { getMoonRendering, crescentPath } from './moonRender.js'
+export { findNextCrescent } from './crescentFinder.js'
 export { geocode } from './geocoder.js'
 
 export function getHemisphere(lat) {
@@ -0,0 +1,58 @@
+// Plain in-memory stand-in for the DuckDB result cache, used when DuckDB
+// cannot be instantiated. Results only last for the session.
+
+function groupKey({ day, elevation, criterion, evening, version }) {
+  return JSON.stringify([day, elevation, criterion, evening, version])
+}
+
+export function createMemoryCache(maxRows) {
+  // A group moves to the end of the Map on every write, so the first group
+  // is the one written to longest ago.
+  const groups = new Map()
+  let total = 0
+
+  function evict() {
+    for (const [gk, group] of groups) {
+      if (total <= maxRows) return
+      for (const id of group.rows.keys()) {
+        if (total <= maxRows) break
+        group.rows.delete(id)
+        total--
+      }
+      if (group.rows.size === 0) groups.delete(gk)
+    }
+  }
+
+  return {
+    get(ids, key) {
+      const group = groups.get(groupKey(key))
+      if (!group) return []
+      return ids.filter((id) => group.rows.has(id)).map((id) => group.rows.get(id))
+    },
+
+    put(results, key) {
+      const gk = groupKey(key)
+      const group = groups.get(gk) ?? { key, rows: new Map(), cachedAt: 0 }
+      groups.delete(gk)
+      groups.set(gk, group)
+      group.cachedAt = Date.now()
+      results.forEach((res) => {
+        if (group.rows.has(res.id)) return
+        group.rows.set(res.id, { ...res })
+        total++
+      })
+      evict()
+    },
+
+    groups() {
+      return [...groups.values()]
+        .sort((a, b) => b.cachedAt - a.cachedAt)
+        .map(({ key, rows }) => ({ ...key, rows: rows.size }))
+    },
+
+    clear() {
+      groups.clear()
+      total = 0
+    },
+  }
+}
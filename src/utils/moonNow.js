@@ -1,4 +1,7 @@
-const MOON_YEAR_INFO = {
+// NASA SVS "Moon Phase and Libration" visualizations, one per year, with
+// hourly frames. Only years listed here have imagery: the IDs are not
+// sequential, so they cannot be guessed for later years.
+const MOON_MANIFEST = {
   2022: { id_north: 4955, id_south: 4956, nimages: 8760 },
   2023: { id_north: 5048, id_south: 5049, nimages: 8760 },
   2024: { id_north: 5187, id_south: 5188, nimages: 8760 },
@@ -6,28 +9,24 @@ const MOON_YEAR_INFO = {
   2026: { id_north: 5587, id_south: 5588, nimages: 8760 },
 }
 
+function isValidEntry(entry) {
+  return Boolean(entry) &&
+    Number.isInteger(entry.id_north) && entry.id_north > 0 &&
+    Number.isInteger(entry.id_south) && entry.id_south > 0 &&
+    Number.isInteger(entry.nimages) && entry.nimages > 0
+}
+
 function getYearId(year) {
-  if (MOON_YEAR_INFO[year]) {
-    return MOON_YEAR_INFO[year]
-  }
-  
-  if (year >= 2027) {
-    const baseId = 5587 + (year - 2026) * 130
-    return { id_north: baseId, id_south: baseId + 1, nimages: 8760 }
-  }
-  
-  return null
+  const entry = MOON_MANIFEST[year]
+  return isValidEntry(entry) ? entry : null
 }
 
+// Frame URLs for the date, or null when the year is not in the manifest.
 export function getMoonImageURLs(date = new Date(), southern = false) {
   const moon_domain = "https://svs.gsfc.nasa.gov"
-  const moon_year = date.getFullYear()
-
-  const yearInfo = getYearId(moon_year)
-
-  if (!yearInfo) {
-    throw new Error(`Moon images not available for year ${moon_year}`)
-  }
+  const year = date.getUTCFullYear()
+  const yearInfo = getYearId(year)
+  if (!yearInfo) return null
 
   const id = southern ? yearInfo.id_south : yearInfo.id_north
   const idStr = String(id).padStart(6, "0")
@@ -40,7 +39,6 @@ export function getMoonImageURLs(date = new Date(), southern = false) {
   const hundredsStr = String(hundreds).padStart(6, "0")
   const pathPrefix = `/vis/a000000/a${hundredsStr}/a${idStr}`
 
-  const year = date.getUTCFullYear()
   const moon_nimages = yearInfo.nimages
   const janone = Date.UTC(year, 0, 1, 0, 0, 0)
   let moon_imagenum = 1 + Math.round((date.getTime() - janone) / 3600000.0)
@@ -0,0 +1,123 @@
+import * as Astronomy from 'astronomy-engine'
+
+// Geometry for drawing the moon locally: phase, libration and orientation
+// from astronomy-engine, as seen from the centre of the Earth (like the NASA
+// SVS frames). The disc is drawn north up and east left, as a northern
+// observer sees it, or turned 180° for the southern hemisphere.
+
+// Major maria as small circles: selenographic latitude, longitude and radius
+// in degrees. Procellarum and Frigoris are irregular, so they get several.
+const MARIA = [
+  [32.8, -15.6, 17], // Imbrium
+  [28.0, 17.5, 10], // Serenitatis
+  [8.5, 31.4, 12], // Tranquillitatis
+  [17.0, 59.1, 8], // Crisium
+  [-7.8, 51.3, 10], // Fecunditatis
+  [-15.2, 35.5, 5.5], // Nectaris
+  [-21.3, -16.6, 9], // Nubium
+  [-24.4, -38.6, 6], // Humorum
+  [13.3, 3.6, 4], // Vaporum
+  [-10.0, -23.1, 5], // Cognitum
+  [7.5, -30.9, 6], // Insularum
+  [20.0, -56.0, 15], // Procellarum
+  [0.0, -57.0, 12],
+  [36.0, -45.0, 9],
+  [56.0, -20.0, 5], // Frigoris
+  [57.0, 2.0, 5],
+  [55.0, 25.0, 4.5],
+]
+const OUTLINE_POINTS = 28
+
+const rad = Astronomy.DEG2RAD
+
+function equatorial(body, time) {
+  return Astronomy.EquatorFromVector(Astronomy.GeoVector(body, time, true))
+}
+
+// Position angle of `target` seen from `center`, from celestial north
+// towards east. RA in hours, dec in degrees.
+function positionAngle(center, target) {
+  const dRa = (target.ra - center.ra) * 15 * rad
+  const y = Math.cos(target.dec * rad) * Math.sin(dRa)
+  const x = Math.sin(target.dec * rad) * Math.cos(center.dec * rad) - Math.cos(target.dec * rad) * Math.sin(center.dec * rad) * Math.cos(dRa)
+  return Math.atan2(y, x) * Astronomy.RAD2DEG
+}
+
+// A sky position angle as a screen angle (degrees clockwise from +x, y down)
+// with north up and east left.
+function screenAngle(pa, southern) {
+  return -90 - pa + (southern ? 180 : 0)
+}
+
+// Orthographic projection of a selenographic point onto the disc seen from
+// the sub-Earth point (lat0, lon0), with lunar north up. Null on the far side.
+function project(lat, lon, lat0, lon0) {
+  const dLon = (lon - lon0) * rad
+  const cosC = Math.sin(lat0 * rad) * Math.sin(lat * rad) + Math.cos(lat0 * rad) * Math.cos(lat * rad) * Math.cos(dLon)
+  if (cosC < 0) return null
+  return [
+    Math.cos(lat * rad) * Math.sin(dLon),
+    Math.cos(lat0 * rad) * Math.sin(lat * rad) - Math.sin(lat0 * rad) * Math.cos(lat * rad) * Math.cos(dLon),
+  ]
+}
+
+// Points on a small circle of angular radius `size` around (lat, lon).
+function smallCircle(lat, lon, size) {
+  return Array.from({ length: OUTLINE_POINTS }, (_, i) => {
+    const bearing = (2 * Math.PI * i) / OUTLINE_POINTS
+    const phi1 = lat * rad, d = size * rad
+    const phi2 = Math.asin(Math.sin(phi1) * Math.cos(d) + Math.cos(phi1) * Math.sin(d) * Math.cos(bearing))
+    const lambda = lon * rad + Math.atan2(Math.sin(bearing) * Math.sin(d) * Math.cos(phi1), Math.cos(d) - Math.sin(phi1) * Math.sin(phi2))
+    return [phi2 * Astronomy.RAD2DEG, lambda * Astronomy.RAD2DEG]
+  })
+}
+
+// Lit part of a disc of radius r with the bright limb towards +x: the outer
+// half circle, then back along the terminator (a half ellipse).
+export function crescentPath(r, fraction) {
+  const rx = Math.abs(1 - 2 * fraction) * r
+  return `M 0 ${-r} A ${r} ${r} 0 0 1 0 ${r} A ${rx} ${r} 0 0 ${fraction < 0.5 ? 0 : 1} 0 ${-r} Z`
+}
+
+// Everything needed to draw the moon on a disc of radius r centred at 0,0.
+// `litRotation` turns crescentPath's bright limb (+x) towards the sun.
+export function getMoonRendering(date, southern = false, r = 100) {
+  const time = Astronomy.MakeTime(date)
+  const moon = equatorial(Astronomy.Body.Moon, time)
+  const sun = equatorial(Astronomy.Body.Sun, time)
+  const axis = Astronomy.RotationAxis(Astronomy.Body.Moon, time)
+  const libration = Astronomy.Libration(time)
+  const illumination = Astronomy.Illumination(Astronomy.Body.Moon, time)
+
+  const limbAngle = positionAngle(moon, sun)
+  const poleAngle = positionAngle(moon, { ra: axis.ra, dec: axis.dec })
+  // Lunar north and lunar east (towards Crisium) on screen.
+  const up = screenAngle(poleAngle, southern) * rad
+  const east = up + Math.PI / 2
+  const toScreen = ([x, y]) => [
+    r * (x * Math.cos(east) + y * Math.cos(up)),
+    r * (x * Math.sin(east) + y * Math.sin(up)),
+  ]
+
+  const maria = MARIA.map(([lat, lon, size]) => {
+    const points = smallCircle(lat, lon, size)
+      .map(([pLat, pLon]) => project(pLat, pLon, libration.elat, libration.elon))
+      .filter(Boolean)
+      .map(toScreen)
+    if (points.length < 3) return null
+    return `M ${points.map(([x, y]) => `${x.toFixed(2)} ${y.toFixed(2)}`).join(' L ')} Z`
+  }).filter(Boolean)
+
+  return {
+    fraction: illumination.phase_fraction,
+    phaseAngle: illumination.phase_angle,
+    waxing: Astronomy.MoonPhase(time) < 180,
+    brightLimbAngle: ((limbAngle % 360) + 360) % 360,
+    litRotation: screenAngle(limbAngle, southern),
+    maria,
+    northPole: toScreen([0, Math.cos(libration.elat * rad)]),
+    libration: { lat: libration.elat, lon: libration.elon },
+    diameter: libration.diam_deg,
+    distance: libration.dist_km,
+  }
+}
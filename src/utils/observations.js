@@ -0,0 +1,207 @@
+import { getCriterion, getCodeInfo } from './criteria.js'
+import { SIGHTING_RESULTS } from './sightings.js'
+import { getWorkerPool } from './workerPool.js'
+
+// Import of historic observation records (CSV or GeoJSON) and scoring of the
+// criteria against them. A record counts as "seen" whether it was seen by
+// naked eye or with optical aid; a prediction counts as "visible" when its
+// code is in the criterion's `visible` list.
+
+export const OBSERVATIONS_SOURCE_ID = 'moonsighting-observations'
+export const OBSERVATIONS_LAYER_ID = 'moonsighting-observations'
+
+const COLUMN_ALIASES = {
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  date: ['date', 'observed_date', 'observation_date'],
+  result: ['result', 'seen', 'visibility', 'outcome'],
+  elevation: ['elevation', 'altitude', 'alt'],
+  mode: ['mode', 'evening'],
+  observer: ['observer', 'name'],
+}
+
+const RESULT_ALIASES = {
+  naked_eye: ['naked_eye', 'naked eye', 'seen by naked eye', 'seen', 'visible', 'yes', 'y', 'eye', 'v'],
+  optical_aid: ['optical_aid', 'optical aid', 'seen with optical aid', 'optical', 'telescope', 'binoculars', 'ccd', 'camera'],
+  not_seen: ['not_seen', 'not seen', 'not visible', 'invisible', 'unseen', 'no', 'n', 'i'],
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks.
+export function parseCSV(text) {
+  const rows = []
+  let row = [], field = '', quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (char === '"') quoted = false
+      else field += char
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field); field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field); rows.push(row); row = []; field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row) }
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''))
+}
+
+function pick(values, name) {
+  const key = COLUMN_ALIASES[name].find((alias) => values[alias] !== undefined && values[alias] !== '')
+  return key === undefined ? undefined : values[key]
+}
+
+export function normalizeResult(value) {
+  const text = String(value ?? '').trim().toLowerCase()
+  return Object.keys(RESULT_ALIASES).find((id) => RESULT_ALIASES[id].includes(text)) || null
+}
+
+function parseMode(value) {
+  if (value === undefined) return true
+  const text = String(value).trim().toLowerCase()
+  if (['morning', 'false', '0', 'no'].includes(text)) return false
+  if (['evening', 'true', '1', 'yes'].includes(text)) return true
+  return null
+}
+
+function toRecord(values, row) {
+  const errors = []
+  const lat = Number(pick(values, 'lat'))
+  const lng = Number(pick(values, 'lng'))
+  const date = String(pick(values, 'date') ?? '').trim().slice(0, 10)
+  const result = normalizeResult(pick(values, 'result'))
+  const elevationValue = pick(values, 'elevation')
+  const elevation = elevationValue === undefined ? 0 : Number(elevationValue)
+  const evening = parseMode(pick(values, 'mode'))
+
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90) errors.push('latitude missing or out of range')
+  if (!Number.isFinite(lng) || Math.abs(lng) > 180) errors.push('longitude missing or out of range')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(`${date}T00:00:00Z`))) errors.push('date must be YYYY-MM-DD')
+  if (!result) errors.push(`unknown result "${pick(values, 'result') ?? ''}"`)
+  if (!Number.isFinite(elevation)) errors.push('elevation is not a number')
+  if (evening === null) errors.push('mode must be evening or morning')
+  if (errors.length > 0) return { error: { row, message: errors.join('; ') } }
+
+  const observer = pick(values, 'observer')
+  return { record: { row, lat, lng, date, result, elevation, evening, observer: observer ? String(observer) : '' } }
+}
+
+function lowerKeys(object) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key.trim().toLowerCase(), value]))
+}
+
+// Rows are numbered as a spreadsheet would show them (CSV header is row 1)
+// or by feature index for GeoJSON.
+export function parseObservations(text) {
+  const trimmed = text.trim()
+  let entries
+  if (trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed)
+    if (!Array.isArray(json.features)) throw new Error('GeoJSON must be a FeatureCollection')
+    entries = json.features.map((feature, i) => {
+      const values = lowerKeys(feature.properties)
+      if (feature.geometry?.type === 'Point') {
+        [values.lng, values.lat] = feature.geometry.coordinates
+      }
+      return { values, row: i + 1 }
+    })
+  } else {
+    const [header, ...rows] = parseCSV(trimmed)
+    if (!header) throw new Error('The file is empty')
+    const columns = header.map((name) => name.trim().toLowerCase())
+    entries = rows.map((cells, i) => ({
+      values: Object.fromEntries(columns.map((name, c) => [name, cells[c]?.trim()])),
+      row: i + 2,
+    }))
+  }
+
+  const records = [], errors = []
+  entries.forEach(({ values, row }) => {
+    const { record, error } = toRecord(values, row)
+    if (record) records.push(record)
+    else errors.push(error)
+  })
+  return { records, errors }
+}
+
+// Records are grouped by evening, elevation and mode so each group is one
+// worker-pool job, exactly like a grid request.
+export async function predictObservations(records, criterionId, requestId = null) {
+  const groups = new Map()
+  records.forEach((record, i) => {
+    const key = `${record.date}|${record.elevation}|${record.evening}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push({ id: String(i), lat: record.lat, lng: record.lng })
+  })
+
+  const predictions = new Array(records.length)
+  for (const [key, points] of groups) {
+    const [date, elevation, evening] = key.split('|')
+    const results = await getWorkerPool().run({
+      points,
+      elevation: Number(elevation),
+      date: new Date(`${date}T00:00:00Z`),
+      options: { criterion: criterionId, evening: evening === 'true' },
+    }, { requestId })
+    results.forEach((res) => { predictions[Number(res.id)] = res })
+  }
+  return records.map((record, i) => ({ ...record, qcode: predictions[i]?.qcode ?? null, value: predictions[i]?.value ?? null }))
+}
+
+export function scoreObservations(scored, criterionId) {
+  const { visible } = getCriterion(criterionId)
+  const matrix = { tp: 0, fp: 0, fn: 0, tn: 0 }
+  const byCode = new Map()
+
+  const rows = scored.map((record) => {
+    const predictedVisible = visible.includes(record.qcode)
+    const seen = record.result !== 'not_seen'
+    if (predictedVisible && seen) matrix.tp++
+    else if (predictedVisible) matrix.fp++
+    else if (seen) matrix.fn++
+    else matrix.tn++
+
+    if (!byCode.has(record.qcode)) {
+      byCode.set(record.qcode, { code: record.qcode, predictedVisible, total: 0, hits: 0, ...Object.fromEntries(SIGHTING_RESULTS.map(({ id }) => [id, 0])) })
+    }
+    const entry = byCode.get(record.qcode)
+    entry.total++
+    entry[record.result]++
+    const hit = predictedVisible === seen
+    if (hit) entry.hits++
+    return { ...record, predictedVisible, hit }
+  })
+
+  const total = rows.length
+  return {
+    rows,
+    matrix,
+    total,
+    hitRate: total ? (matrix.tp + matrix.tn) / total : null,
+    byCode: [...byCode.values()]
+      .map((entry) => ({ ...entry, label: getCodeInfo(entry.code, criterionId, true)?.label ?? entry.code, hitRate: entry.hits / entry.total }))
+      .sort((a, b) => String(a.code).localeCompare(String(b.code))),
+  }
+}
+
+export function observationsToGeoJSON(rows) {
+  return {
+    type: 'FeatureCollection',
+    features: rows.map((row) => ({
+      type: 'Feature',
+      properties: {
+        row: row.row,
+        result: row.result,
+        color: SIGHTING_RESULTS.find(({ id }) => id === row.result)?.color ?? '#94a3b8',
+        hit: row.hit,
+        qcode: row.qcode,
+      },
+      geometry: { type: 'Point', coordinates: [row.lng, row.lat] },
+    })),
+  }
+}
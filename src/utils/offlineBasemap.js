@@ -0,0 +1,48 @@
+// Low-detail world basemap shipped with the app (public/basemap): Natural Earth
+// 1:110m land and country boundaries from world-atlas, a short list of major
+// cities, and Lato Regular glyphs for the Latin ranges. It needs no tile
+// server, so the grid stays readable offline and PNG exports carry no
+// third-party tile terms.
+
+export const OFFLINE_LABEL_FONT = ['Lato Regular']
+
+// Only the rank 1 cities below zoom 3. Zoom must drive a top-level step.
+const CITY_FILTER = ['step', ['zoom'], ['<=', ['get', 'rank'], 1], 3, true]
+
+export function getOfflineBasemapStyle(baseUrl = import.meta.env.BASE_URL) {
+  // Absolute, because sources and glyphs are resolved inside MapLibre's workers.
+  const root = `${window.location.origin}${baseUrl}basemap/`
+  return {
+    version: 8,
+    name: 'Offline',
+    glyphs: `${root}fonts/{fontstack}/{range}.pbf`,
+    sources: {
+      land: { type: 'geojson', data: `${root}land.geojson`, attribution: 'Natural Earth' },
+      boundaries: { type: 'geojson', data: `${root}boundaries.geojson` },
+      cities: { type: 'geojson', data: `${root}cities.geojson` },
+    },
+    layers: [
+      { id: 'background', type: 'background', paint: { 'background-color': '#0b1120' } },
+      { id: 'land', type: 'fill', source: 'land', paint: { 'fill-color': '#1e293b' } },
+      { id: 'coastline', type: 'line', source: 'land', paint: { 'line-color': '#475569', 'line-width': 0.8 } },
+      {
+        id: 'boundaries', type: 'line', source: 'boundaries',
+        paint: { 'line-color': '#64748b', 'line-width': 0.6, 'line-dasharray': [3, 2] },
+      },
+      {
+        id: 'cities', type: 'circle', source: 'cities',
+        filter: CITY_FILTER,
+        paint: { 'circle-radius': 2.5, 'circle-color': '#cbd5e1', 'circle-stroke-color': '#0b1120', 'circle-stroke-width': 1 },
+      },
+      {
+        id: 'city-labels', type: 'symbol', source: 'cities',
+        filter: CITY_FILTER,
+        layout: {
+          'text-field': ['get', 'name'], 'text-font': OFFLINE_LABEL_FONT, 'text-size': 11,
+          'text-offset': [0, 0.6], 'text-anchor': 'top',
+        },
+        paint: { 'text-color': '#cbd5e1', 'text-halo-color': '#0b1120', 'text-halo-width': 1.2 },
+      },
+    ],
+  }
+}
@@ -0,0 +1,51 @@
+import * as h3 from 'h3-js'
+import { getUpcomingConjunctions, getCrescentEvenings } from './crescentFinder.js'
+import { getCachedResults, cacheResults } from './db.js'
+import { getWorkerPool } from './workerPool.js'
+
+// Coarse global grids for the evenings around the next few conjunctions are
+// computed in the background and stored in the result cache, so the crescent
+// presets still open instantly without a connection.
+export const PRECOMPUTE_CONJUNCTIONS = 3
+export const PRECOMPUTE_RESOLUTION = 1
+
+export function getGlobalCells(res = PRECOMPUTE_RESOLUTION) {
+  return h3.getRes0Cells().flatMap((cell) => h3.cellToChildren(cell, res))
+}
+
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return
+  const error = new Error('Precompute cancelled')
+  error.name = 'AbortError'
+  throw error
+}
+
+// `signal` stops the loop between evenings and cancels the pool job under
+// `requestId` that is running when it fires.
+export async function precomputeUpcomingGrids(date, { elevation, criterion }, { requestId = null, signal } = {}) {
+  const cells = getGlobalCells()
+  const evenings = getUpcomingConjunctions(date, PRECOMPUTE_CONJUNCTIONS).flatMap(getCrescentEvenings)
+  const pool = getWorkerPool()
+  const onAbort = () => pool.cancel(requestId)
+  signal?.addEventListener('abort', onAbort)
+  let computed = 0
+  try {
+    for (const { date: eveningDate } of evenings) {
+      throwIfAborted(signal)
+      const settings = { date: eveningDate, elevation, criterion, evening: true }
+      const cached = new Set((await getCachedResults(cells, settings)).map((res) => res.id))
+      throwIfAborted(signal)
+      const points = cells.filter((id) => !cached.has(id)).map((id) => {
+        const [lat, lng] = h3.cellToLatLng(id)
+        return { id, lat, lng }
+      })
+      if (points.length === 0) continue
+      const results = await pool.run({ points, elevation, date: eveningDate, options: { criterion, evening: true } }, { requestId })
+      await cacheResults(results, settings)
+      computed += results.length
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort)
+  }
+  return { evenings: evenings.length, computed }
+}
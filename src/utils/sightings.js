@@ -0,0 +1,80 @@
+import { calculate } from './calculate.js'
+
+// Observation reports recorded by observers, stored next to the result cache
+// (see db.js) and compared against the Yallop prediction for the same place,
+// date and elevation.
+
+export const SIGHTING_RESULTS = [
+  { id: 'naked_eye', label: 'Seen by naked eye', color: '#22c55e' },
+  { id: 'optical_aid', label: 'Seen with optical aid', color: '#facc15' },
+  { id: 'not_seen', label: 'Not seen', color: '#f43f5e' },
+]
+
+export const SKY_CONDITIONS = ['Clear', 'Hazy', 'Partly cloudy', 'Overcast', 'Dust', 'Rain']
+
+export const SIGHTINGS_SOURCE_ID = 'moonsighting-sightings'
+export const SIGHTINGS_LAYER_ID = 'moonsighting-sightings'
+
+export function getSightingResult(id) {
+  return SIGHTING_RESULTS.find((result) => result.id === id) || null
+}
+
+export function validateSighting(report) {
+  const errors = []
+  if (!report.observer?.trim()) errors.push('Observer name is required')
+  if (!getSightingResult(report.result)) errors.push('Choose what was seen')
+  if (!Number.isFinite(report.lat) || Math.abs(report.lat) > 90) errors.push('Latitude must be between -90 and 90')
+  if (!Number.isFinite(report.lng) || Math.abs(report.lng) > 180) errors.push('Longitude must be between -180 and 180')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(report.observedDate || '')) errors.push('Date must be YYYY-MM-DD')
+  if (!Number.isFinite(report.observedAt)) errors.push('Observation time is invalid')
+  return errors
+}
+
+// The prediction is taken for the evening (or morning) the date picker shows,
+// matching what the grid displays for the same settings.
+export function predictSighting({ lat, lng, elevation, date, evening }) {
+  const details = calculate(lat, lng, elevation, date, { criterion: 'yallop', evening })
+  return { qcode: details.qcode, value: Number.isFinite(details.value) ? details.value : null }
+}
+
+const ONE_DAY = 24 * 60 * 60 * 1000
+
+// `observedDate` names the evening (a UTC day, as in the date picker), but in
+// the Americas its sunset falls on the next UTC date. The UTC time of day is
+// placed on whichever date puts it nearest the reference (sunset or sunrise).
+export function resolveObservedAt(observedDate, time, reference) {
+  const sameDay = Date.parse(`${observedDate}T${time}:00Z`)
+  if (!Number.isFinite(sameDay) || !reference) return sameDay
+  return [sameDay - ONE_DAY, sameDay, sameDay + ONE_DAY]
+    .reduce((best, candidate) => (Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best))
+}
+
+export function createSighting(fields) {
+  const report = {
+    id: crypto.randomUUID(),
+    instrument: '',
+    sky: '',
+    notes: '',
+    createdAt: Date.now(),
+    ...fields,
+  }
+  const errors = validateSighting(report)
+  if (errors.length > 0) throw new Error(errors.join('. '))
+  return report
+}
+
+export function sightingsToGeoJSON(sightings) {
+  return {
+    type: 'FeatureCollection',
+    features: sightings.map((sighting) => ({
+      type: 'Feature',
+      properties: {
+        id: sighting.id,
+        result: sighting.result,
+        color: getSightingResult(sighting.result)?.color ?? '#94a3b8',
+        observer: sighting.observer,
+      },
+      geometry: { type: 'Point', coordinates: [sighting.lng, sighting.lat] },
+    })),
+  }
+}
@@ -0,0 +1,58 @@
+import * as Astronomy from 'astronomy-engine'
+
+// Positions for the horizon sky chart: topocentric sun and moon alt/az (no
+// refraction, as in calculate()), the moon's illuminated fraction and the
+// direction of its bright limb as seen on the chart.
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+export function compassPoint(azimuth) {
+  return COMPASS[Math.round((((azimuth % 360) + 360) % 360) / 45) % 8]
+}
+
+function horizon(body, time, observer) {
+  const equator = Astronomy.Equator(body, time, observer, true, true)
+  return { ...Astronomy.Horizon(time, observer, equator.ra, equator.dec, null), vec: equator.vec }
+}
+
+// Bearing from the moon towards the sun on the sky, measured from straight up
+// towards increasing azimuth (to the right when facing the horizon). The
+// bright limb faces this way, so it gives the tilt of the horns.
+function brightLimbBearing(moon, sun) {
+  const rad = Astronomy.DEG2RAD
+  const dAz = (sun.azimuth - moon.azimuth) * rad
+  const y = Math.sin(dAz) * Math.cos(sun.altitude * rad)
+  const x = Math.cos(moon.altitude * rad) * Math.sin(sun.altitude * rad) - Math.sin(moon.altitude * rad) * Math.cos(sun.altitude * rad) * Math.cos(dAz)
+  return Math.atan2(y, x) * Astronomy.RAD2DEG
+}
+
+export function getSkyView(lat, lng, elevation, date) {
+  const time = Astronomy.MakeTime(date)
+  const observer = new Astronomy.Observer(lat, lng, elevation)
+  const sun = horizon(Astronomy.Body.Sun, time, observer)
+  const moon = horizon(Astronomy.Body.Moon, time, observer)
+  let daz = sun.azimuth - moon.azimuth
+  if (daz > 180) daz -= 360
+  if (daz < -180) daz += 360
+  return {
+    time: date.getTime(),
+    sun: { altitude: sun.altitude, azimuth: sun.azimuth },
+    moon: { altitude: moon.altitude, azimuth: moon.azimuth },
+    fraction: Astronomy.Illumination(Astronomy.Body.Moon, time).phase_fraction,
+    limbBearing: brightLimbBearing(moon, sun),
+    arcv: moon.altitude - sun.altitude,
+    arcl: Astronomy.AngleBetween(sun.vec, moon.vec),
+    daz,
+  }
+}
+
+// Views from sunset to moonset (moonrise to sunrise in the morning); just the
+// sun event when the moon is already down.
+export function getSkyTrack(lat, lng, elevation, { sunsetSunrise, moonsetMoonrise }, evening = true, steps = 40) {
+  if (!sunsetSunrise) return []
+  const sunEvent = sunsetSunrise.getTime()
+  const moonEvent = moonsetMoonrise?.getTime() ?? sunEvent
+  const [start, end] = evening ? [sunEvent, moonEvent] : [moonEvent, sunEvent]
+  if (end <= start) return [getSkyView(lat, lng, elevation, sunsetSunrise)]
+  return Array.from({ length: steps + 1 }, (_, i) => getSkyView(lat, lng, elevation, new Date(start + ((end - start) * i) / steps)))
+}
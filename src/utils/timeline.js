@@ -0,0 +1,77 @@
+import * as Astronomy from 'astronomy-engine'
+import { calculate } from './calculate.js'
+import { findNextConjunction } from './crescentFinder.js'
+
+// Frames for the two animations: consecutive evenings (or mornings) around a
+// conjunction for the grid, and sun/moon altitude through one evening at a
+// point.
+
+const ONE_DAY = 24 * 60 * 60 * 1000
+const ONE_MINUTE = 60 * 1000
+
+// Days relative to the conjunction day: the evening before it up to the
+// second evening after for the waxing crescent, and the mirror image (the
+// last mornings before it) for the waning one.
+const EVENING_OFFSETS = [-1, 0, 1, 2]
+const MORNING_OFFSETS = [-3, -2, -1, 0]
+
+function formatOffset(offset) {
+  if (offset === 0) return 'Conjunction day'
+  return `${offset > 0 ? '+' : '−'}${Math.abs(offset)} day${Math.abs(offset) > 1 ? 's' : ''}`
+}
+
+// Frame dates are UTC midnights, like the selected date (the picker shows the
+// UTC day), so every frame reuses the grid cached for that day. Mornings look for the conjunction from the
+// date itself, since it is still ahead of them.
+export function getPlaybackFrames(date, evening = true) {
+  const offsets = evening ? EVENING_OFFSETS : MORNING_OFFSETS
+  const conjunction = findNextConjunction(new Date(date.getTime() + (evening ? 0 : 2 * ONE_DAY)))
+  if (!conjunction) return []
+  const conjunctionDay = Date.UTC(conjunction.getUTCFullYear(), conjunction.getUTCMonth(), conjunction.getUTCDate())
+  return offsets.map((offset) => ({
+    offset,
+    label: formatOffset(offset),
+    date: new Date(conjunctionDay + offset * ONE_DAY),
+  }))
+}
+
+export function findFrameIndex(frames, date) {
+  const day = date.toISOString().slice(0, 10)
+  return frames.findIndex((frame) => frame.date.toISOString().slice(0, 10) === day)
+}
+
+function altitude(body, time, observer) {
+  const equator = Astronomy.Equator(body, time, observer, true, true)
+  return Astronomy.Horizon(time, observer, equator.ra, equator.dec, null).altitude
+}
+
+// Sun and moon altitude (no refraction, as in calculate()) sampled from a
+// little before sunset until moonset or a couple of hours after sunset; in
+// the morning the same window mirrored around sunrise.
+export function getAltitudeTrack(lat, lng, elevation, date, { criterion, evening = true, step = 5 } = {}) {
+  const details = calculate(lat, lng, elevation, date, { criterion, evening })
+  if (!details.sunsetSunrise) return null
+  const sunEvent = details.sunsetSunrise.getTime()
+  const moonEvent = details.moonsetMoonrise?.getTime() ?? null
+  const span = Math.max(120, Math.min(240, moonEvent ? Math.abs(moonEvent - sunEvent) / ONE_MINUTE + 20 : 120))
+  const start = evening ? sunEvent - 30 * ONE_MINUTE : sunEvent - span * ONE_MINUTE
+  const end = evening ? sunEvent + span * ONE_MINUTE : sunEvent + 30 * ONE_MINUTE
+
+  const observer = new Astronomy.Observer(lat, lng, elevation)
+  const samples = []
+  for (let time = start; time <= end; time += step * ONE_MINUTE) {
+    const astroTime = Astronomy.MakeTime(new Date(time))
+    samples.push({
+      time,
+      sun: altitude(Astronomy.Body.Sun, astroTime, observer),
+      moon: altitude(Astronomy.Body.Moon, astroTime, observer),
+    })
+  }
+  return {
+    samples,
+    sunEvent,
+    moonEvent,
+    bestTime: details.bestTime ? details.bestTime.date.getTime() : null,
+    qcode: details.qcode,
+  }
+}
@@ -0,0 +1,78 @@
+// View state in the query string, so a link reproduces what the sender saw:
+//
+//   ?date=2026-02-17&lat=-6.2&lng=106.8&elev=8&criterion=odeh&mode=evening
+//    &res=3&style=dark&view=3d&clouds=1&calendar=mabims&weather=mock
+//    &map=4.5/-2.1/112.3
+//
+// Reading is forgiving: a missing or malformed parameter is left out and the
+// app keeps its default for it.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+function parseNumber(value, min, max) {
+  if (value === null || value.trim() === '') return undefined
+  const number = Number(value)
+  return Number.isFinite(number) && number >= min && number <= max ? number : undefined
+}
+
+function round(value, digits) {
+  return String(Number(value.toFixed(digits)))
+}
+
+// `options` lists the accepted values for the enumerated settings:
+// { criteria, styles, resolutions, calendars, weatherProviders }.
+export function readUrlState(search, { criteria, styles, resolutions, calendars, weatherProviders }) {
+  const params = new URLSearchParams(search)
+  const state = {}
+
+  const date = params.get('date')
+  if (date && DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+    state.date = new Date(`${date}T00:00:00Z`)
+  }
+  const lat = parseNumber(params.get('lat'), -90, 90)
+  const lng = parseNumber(params.get('lng'), -180, 180)
+  if (lat !== undefined && lng !== undefined) state.coords = [lat, lng]
+  const elevation = parseNumber(params.get('elev'), -500, 9000)
+  if (elevation !== undefined) state.elevation = Math.round(elevation)
+
+  if (criteria.includes(params.get('criterion'))) state.criterion = params.get('criterion')
+  if (['evening', 'morning'].includes(params.get('mode'))) state.evening = params.get('mode') === 'evening'
+  if (params.get('res') === 'auto') state.manualRes = null
+  else if (resolutions.includes(Number(params.get('res')))) state.manualRes = Number(params.get('res'))
+  if (styles.includes(params.get('style'))) state.mapStyle = params.get('style')
+  if (['2d', '3d'].includes(params.get('view'))) state.mapMode = params.get('view')
+  if (['0', '1'].includes(params.get('clouds'))) state.showCloudOverlay = params.get('clouds') === '1'
+  if (calendars.includes(params.get('calendar'))) state.calendarPolicy = params.get('calendar')
+  if (weatherProviders.includes(params.get('weather'))) state.weatherProvider = params.get('weather')
+
+  const [zoom, centerLat, centerLng] = (params.get('map') || '').split('/')
+  const view = {
+    zoom: parseNumber(zoom ?? null, 0, 22),
+    lat: parseNumber(centerLat ?? null, -90, 90),
+    lng: parseNumber(centerLng ?? null, -180, 180),
+  }
+  if (Object.values(view).every((value) => value !== undefined)) state.view = view
+  return state
+}
+
+// `date` is the UTC midnight of the evening shown, so the day alone
+// reproduces it.
+export function writeUrlState({ date, coords, elevation, criterion, evening, manualRes, mapStyle, mapMode, showCloudOverlay, calendarPolicy, weatherProvider, view }) {
+  const params = new URLSearchParams()
+  params.set('date', date.toISOString().slice(0, 10))
+  if (coords) {
+    params.set('lat', round(coords[0], 4))
+    params.set('lng', round(coords[1], 4))
+  }
+  params.set('elev', String(Math.round(elevation)))
+  params.set('criterion', criterion)
+  params.set('mode', evening ? 'evening' : 'morning')
+  params.set('res', manualRes === null ? 'auto' : String(manualRes))
+  params.set('style', mapStyle)
+  params.set('view', mapMode)
+  params.set('clouds', showCloudOverlay ? '1' : '0')
+  params.set('calendar', calendarPolicy)
+  params.set('weather', weatherProvider)
+  if (view) params.set('map', `${round(view.zoom, 2)}/${round(view.lat, 4)}/${round(view.lng, 4)}`)
+  return `?${params.toString().replace(/%2F/g, '/')}`
+}
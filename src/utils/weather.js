@@ -0,0 +1,187 @@
+import { getCriterion } from './criteria.js'
+
+// Weather for the sighting window rather than the moment the page is open:
+// hourly forecasts sampled at sunset and at the best time, and a "practical
+// sighting chance" combining them with the criterion code.
+//
+// A provider is { id, label, getHourly({ lat, lng, start, end, signal }) }
+// resolving to hourly samples sorted by time:
+//
+//   { time (ms), cloudCover, cloudLow, cloudMid, cloudHigh (%), visibility (m),
+//     humidity (%), dust (µg/m³), aod, precipitation (mm), weatherCode,
+//     tempC, windKph }
+//
+// with null for anything the provider does not have.
+
+const ONE_HOUR = 60 * 60 * 1000
+const ONE_DAY = 24 * ONE_HOUR
+// Open-Meteo serves forecasts 16 days ahead and keeps about three months back.
+const FORECAST_DAYS = 16
+const PAST_DAYS = 92
+const HOURLY_FIELDS = ['cloudCover', 'cloudLow', 'cloudMid', 'cloudHigh', 'visibility', 'humidity', 'dust', 'aod', 'precipitation', 'tempC', 'windKph']
+
+function isoDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10)
+}
+
+async function fetchJson(url, signal) {
+  const res = await fetch(url, { signal })
+  const data = await res.json().catch(() => null)
+  if (!res.ok) throw new Error(data?.reason || 'Weather API request failed')
+  return data
+}
+
+function column(hourly, name, index) {
+  return hourly?.[name]?.[index] ?? null
+}
+
+export const openMeteoProvider = {
+  id: 'openmeteo',
+  label: 'Open-Meteo',
+  async getHourly({ lat, lng, start, end, signal }) {
+    const now = Date.now()
+    if (start > now + FORECAST_DAYS * ONE_DAY || end < now - PAST_DAYS * ONE_DAY) return []
+    const query = `latitude=${lat.toFixed(4)}&longitude=${lng.toFixed(4)}&start_date=${isoDay(start)}&end_date=${isoDay(end)}&timezone=GMT&timeformat=unixtime`
+    const forecast = fetchJson(
+      `https://api.open-meteo.com/v1/forecast?${query}&hourly=cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,relative_humidity_2m,precipitation,weather_code,temperature_2m,wind_speed_10m`,
+      signal,
+    )
+    // Dust and aerosols only exist a few days ahead; go on without them.
+    const airQuality = fetchJson(`https://air-quality-api.open-meteo.com/v1/air-quality?${query}&hourly=dust,aerosol_optical_depth`, signal)
+      .catch((err) => {
+        if (err.name === 'AbortError') throw err
+        return null
+      })
+    const [weather, air] = await Promise.all([forecast, airQuality])
+    if (!weather?.hourly?.time) throw new Error('Weather data unavailable')
+    const airIndex = new Map((air?.hourly?.time ?? []).map((time, i) => [time, i]))
+    return weather.hourly.time.map((time, i) => {
+      const a = airIndex.get(time)
+      return {
+        time: time * 1000,
+        cloudCover: column(weather.hourly, 'cloud_cover', i),
+        cloudLow: column(weather.hourly, 'cloud_cover_low', i),
+        cloudMid: column(weather.hourly, 'cloud_cover_mid', i),
+        cloudHigh: column(weather.hourly, 'cloud_cover_high', i),
+        visibility: column(weather.hourly, 'visibility', i),
+        humidity: column(weather.hourly, 'relative_humidity_2m', i),
+        dust: a === undefined ? null : column(air.hourly, 'dust', a),
+        aod: a === undefined ? null : column(air.hourly, 'aerosol_optical_depth', a),
+        precipitation: column(weather.hourly, 'precipitation', i),
+        weatherCode: column(weather.hourly, 'weather_code', i),
+        tempC: column(weather.hourly, 'temperature_2m', i),
+        windKph: column(weather.hourly, 'wind_speed_10m', i),
+      }
+    })
+  },
+}
+
+// Conditions for the mock provider, held for every hour it serves.
+export const WEATHER_FIXTURES = {
+  clear: { cloudCover: 5, cloudLow: 0, cloudMid: 0, cloudHigh: 10, visibility: 40000, humidity: 35, dust: 5, aod: 0.08, precipitation: 0, weatherCode: 0, tempC: 24, windKph: 9 },
+  hazy: { cloudCover: 15, cloudLow: 5, cloudMid: 0, cloudHigh: 30, visibility: 8000, humidity: 60, dust: 120, aod: 0.6, precipitation: 0, weatherCode: 1, tempC: 31, windKph: 18 },
+  broken: { cloudCover: 55, cloudLow: 40, cloudMid: 25, cloudHigh: 20, visibility: 20000, humidity: 75, dust: null, aod: null, precipitation: 0, weatherCode: 2, tempC: 27, windKph: 12 },
+  overcast: { cloudCover: 100, cloudLow: 95, cloudMid: 70, cloudHigh: 40, visibility: 6000, humidity: 92, dust: null, aod: null, precipitation: 1.2, weatherCode: 61, tempC: 22, windKph: 15 },
+}
+
+// Serves `fixtures` with no network access, for tests and offline demos.
+// `pick(day)` chooses the fixture id for a UTC day number; by default the
+// fixtures take turns day by day.
+export function createMockProvider(fixtures = WEATHER_FIXTURES, pick) {
+  const ids = Object.keys(fixtures)
+  const choose = pick || ((day) => ids[((day % ids.length) + ids.length) % ids.length])
+  return {
+    id: 'mock',
+    label: 'Demo data (offline)',
+    async getHourly({ start, end }) {
+      const samples = []
+      for (let time = Math.floor(start / ONE_HOUR) * ONE_HOUR; time <= end + ONE_HOUR; time += ONE_HOUR) {
+        samples.push({ time, ...fixtures[choose(Math.floor(time / ONE_DAY))] })
+      }
+      return samples
+    },
+  }
+}
+
+export const WEATHER_PROVIDERS = [openMeteoProvider, createMockProvider()]
+
+export function getWeatherProvider(id) {
+  return WEATHER_PROVIDERS.find((provider) => provider.id === id) || WEATHER_PROVIDERS[0]
+}
+
+// Linear interpolation between the hours either side; the weather code comes
+// from the nearer hour. Null outside the forecast.
+export function sampleHourly(samples, time) {
+  const after = samples.findIndex((sample) => sample.time >= time)
+  if (after === -1) return null
+  if (samples[after].time === time || after === 0) {
+    return samples[after].time - time <= ONE_HOUR ? { ...samples[after], time } : null
+  }
+  const a = samples[after - 1], b = samples[after]
+  const t = (time - a.time) / (b.time - a.time)
+  const sample = { time, weatherCode: (t < 0.5 ? a : b).weatherCode }
+  HOURLY_FIELDS.forEach((field) => {
+    sample[field] = a[field] == null || b[field] == null ? (t < 0.5 ? a : b)[field] : a[field] + (b[field] - a[field]) * t
+  })
+  return sample
+}
+
+// `sunset` and `bestTime` in ms (sunrise for the morning crescent).
+export async function getSightingWeather(provider, { lat, lng, sunset, bestTime, signal }) {
+  const times = [sunset, bestTime].filter((time) => time != null)
+  const samples = await provider.getHourly({
+    lat, lng,
+    start: Math.min(...times) - ONE_HOUR,
+    end: Math.max(...times) + ONE_HOUR,
+    signal,
+  })
+  return {
+    provider: provider.id,
+    sunset: sunset == null ? null : sampleHourly(samples, sunset),
+    best: bestTime == null ? null : sampleHourly(samples, bestTime),
+  }
+}
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+
+// The crescent sits a few degrees above the horizon, so low cloud and haze
+// along the horizon count for more than high cloud.
+function weatherFactors(sample) {
+  const factors = [
+    { id: 'cloud', label: 'Cloud', value: (1 - (sample.cloudLow ?? sample.cloudCover ?? 0) / 100) * (1 - 0.6 * (sample.cloudMid ?? 0) / 100) * (1 - 0.3 * (sample.cloudHigh ?? 0) / 100) },
+  ]
+  if (sample.visibility != null) factors.push({ id: 'visibility', label: 'Visibility', value: clamp((sample.visibility - 2000) / 18000) })
+  if (sample.humidity != null) factors.push({ id: 'humidity', label: 'Humidity', value: 1 - 0.4 * clamp((sample.humidity - 70) / 30) })
+  if (sample.aod != null) factors.push({ id: 'aerosol', label: 'Dust & aerosols', value: Math.exp(-1.2 * sample.aod) })
+  else if (sample.dust != null) factors.push({ id: 'aerosol', label: 'Dust', value: 1 - 0.5 * clamp((sample.dust - 20) / 200) })
+  if ((sample.precipitation ?? 0) > 0.1) factors.push({ id: 'precipitation', label: 'Precipitation', value: 0.1 })
+  return factors.map((factor) => ({ ...factor, value: clamp(factor.value) }))
+}
+
+export const CHANCE_LEVELS = [
+  { id: 'good', label: 'Good', min: 0.6, color: '#22c55e' },
+  { id: 'fair', label: 'Fair', min: 0.3, color: '#facc15' },
+  { id: 'poor', label: 'Poor', min: 0.05, color: '#fb923c' },
+  { id: 'none', label: 'None', min: 0, color: '#ef4444' },
+]
+
+// The code sets the best case: the criterion's first visible code counts as
+// 1, its last as 0.4, anything else as 0. Weather then scales it down; the
+// weakest weather factor is reported as the limiting one.
+export function getSightingChance(qcode, criterionId, sample) {
+  const { visible } = getCriterion(criterionId)
+  const rank = visible.indexOf(qcode)
+  const astronomical = rank === -1 ? 0 : 1 - (0.6 * rank) / Math.max(1, visible.length - 1)
+  const factors = sample ? weatherFactors(sample) : []
+  const weather = factors.reduce((product, factor) => product * factor.value, 1)
+  const chance = astronomical * weather
+  const limiting = factors.reduce((lowest, factor) => (!lowest || factor.value < lowest.value ? factor : lowest), null)
+  return {
+    chance,
+    level: CHANCE_LEVELS.find((level) => chance >= level.min),
+    astronomical,
+    weather: sample ? weather : null,
+    factors,
+    limiting: astronomical === 0 ? null : limiting,
+  }
+}
@@ -1,30 +1,24 @@
-import { calculate } from './calculate.js'
+import { calculate, getCellColor } from './calculate.js'
 
 self.onmessage = (e) => {
-  const { points, elevation, date, options } = e.data
+  const { taskId, points, elevation, date, options } = e.data
   
   const results = points.map(p => {
     const res = calculate(p.lat, p.lng, elevation, date, options)
     return {
       id: p.id,
       qcode: res.qcode,
-      color: getCellColor(res.qcode)
+      value: res.value,
+      arcv: res.params?.arcv,
+      arcl: res.params?.arcl,
+      w: res.params?.w,
+      lag: res.params?.lag,
+      age: res.params?.age,
+      sunset: res.sunsetSunrise?.getTime(),
+      moonset: res.moonsetMoonrise?.getTime(),
+      color: getCellColor(res.qcode, options.criterion, options.evening) || "rgba(0,0,0,0)"
     }
   })
   
-  self.postMessage(results)
-}
-
-function getCellColor(qcode) {
-  if (qcode === "A") return "#22c55e"
-  else if (qcode === "B") return "#84cc16"
-  else if (qcode === "C") return "#2dd4bf"
-  else if (qcode === "D") return "#facc15"
-  else if (qcode === "E") return "#fb923c"
-  else if (qcode === "F") return "rgba(0, 0, 0, 0)"
-  else if (qcode === "G") return "#a855f7"
-  else if (qcode === "H") return "#3b82f6"
-  else if (qcode === "I") return "#ef4444"
-  else if (qcode === "J") return "rgba(0, 0, 0, 0)"
-  return "rgba(0,0,0,0)"
+  self.postMessage({ taskId, results })
 }
@@ -0,0 +1,130 @@
+// Pool of calculation workers, the one way the app runs `calculate()` off the
+// main thread. Jobs are split into chunks that run in parallel, report
+// progress through `onChunk`, and can be cancelled by the request ID they
+// were started with. Cancelling terminates the workers still busy with the
+// job's chunks, so their slots are free for the next job straight away.
+
+function createAbortError() {
+  const error = new Error('Calculation cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+export function createWorkerPool(size = navigator.hardwareConcurrency || 4) {
+  const slots = Array.from({ length: Math.max(1, size) }, () => ({ worker: null, task: null }))
+  const queue = []
+  let nextTaskId = 0
+
+  function finish(slot, error, results) {
+    const { task } = slot
+    slot.task = null
+    if (task) task.done(error, results)
+    pump()
+  }
+
+  function spawn(slot) {
+    slot.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })
+    slot.worker.onmessage = (e) => {
+      if (e.data.taskId === slot.task?.id) finish(slot, null, e.data.results)
+    }
+    slot.worker.onerror = (e) => finish(slot, e.error || new Error(e.message || 'Worker error'))
+  }
+
+  function pump() {
+    slots.forEach((slot) => {
+      if (slot.task || queue.length === 0) return
+      if (!slot.worker) spawn(slot)
+      slot.task = queue.shift()
+      slot.worker.postMessage({ taskId: slot.task.id, ...slot.task.payload })
+    })
+  }
+
+  // Drops the queued chunks of every job matching `match` and replaces the
+  // workers running its other chunks; the jobs themselves are not settled.
+  function discard(match) {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (match(queue[i].job)) queue.splice(i, 1)
+    }
+    slots.forEach((slot) => {
+      if (!slot.task || !match(slot.task.job)) return
+      slot.worker.terminate()
+      slot.worker = null
+      slot.task = null
+    })
+    pump()
+  }
+
+  function cancel(requestId) {
+    const jobs = new Set()
+    queue.concat(slots.map((slot) => slot.task).filter(Boolean)).forEach((task) => {
+      if (task.job.requestId === requestId) jobs.add(task.job)
+    })
+    discard((job) => jobs.has(job))
+    jobs.forEach((job) => job.cancel())
+  }
+
+  function run({ points, ...payload }, { requestId = null, chunkSize = 250, onChunk } = {}) {
+    return new Promise((resolve, reject) => {
+      const chunks = []
+      for (let i = 0; i < points.length; i += chunkSize) chunks.push(points.slice(i, i + chunkSize))
+      if (chunks.length === 0) {
+        resolve([])
+        return
+      }
+
+      const collected = []
+      let completed = 0
+      let settled = false
+      const job = {
+        requestId,
+        cancel: () => {
+          if (settled) return
+          settled = true
+          reject(createAbortError())
+        },
+      }
+
+      chunks.forEach((chunk) => queue.push({
+        id: ++nextTaskId,
+        job,
+        payload: { ...payload, points: chunk },
+        done: (error, results) => {
+          if (settled) return
+          if (error) {
+            discard((other) => other === job)
+            settled = true
+            reject(error)
+            return
+          }
+          completed += 1
+          collected.push(...results)
+          onChunk?.(results, { completed, total: chunks.length })
+          if (completed === chunks.length) {
+            settled = true
+            resolve(collected)
+          }
+        },
+      }))
+      pump()
+    })
+  }
+
+  function terminate() {
+    queue.splice(0).forEach((task) => task.job.cancel())
+    slots.forEach((slot) => {
+      slot.task?.job.cancel()
+      slot.worker?.terminate()
+      slot.worker = null
+      slot.task = null
+    })
+  }
+
+  return { run, cancel, terminate, size: slots.length }
+}
+
+let sharedPool = null
+
+export function getWorkerPool() {
+  if (!sharedPool) sharedPool = createWorkerPool()
+  return sharedPool
+}